@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Referential integrity check for public/data (see src/utils/dataIntegrity.js).
+ * Prints every unresolved reference with a suggested fix and exits 1 when there
+ * are any; `npm run build` runs it first (prebuild), so broken data can't ship.
+ *
+ *   npm run check:data
+ */
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { DATA_FILES } from "../src/utils/dataSchema.js";
+import { checkIntegrity } from "../src/utils/dataIntegrity.js";
+
+const root = fileURLToPath(new URL("../public", import.meta.url));
+
+const files = {};
+const unreadable = [];
+for (const [name, spec] of Object.entries(DATA_FILES)) {
+  try {
+    files[name] = JSON.parse(await readFile(`${root}${spec.path}`, "utf8"));
+  } catch (e) {
+    unreadable.push(`${spec.path}: ${e.message}`);
+  }
+}
+
+const problems = checkIntegrity(files);
+unreadable.forEach((msg) => console.error(`✗ ${msg}`));
+
+const byFile = {};
+problems.forEach((p) => (byFile[p.file] ||= []).push(p));
+for (const [file, list] of Object.entries(byFile)) {
+  console.error(`\npublic${DATA_FILES[file].path} — ${list.length} problem(s)`);
+  list.forEach((p) => console.error(`  ✗ ${p.where}: ${p.message}${p.suggestion ? ` — did you mean ${p.suggestion}?` : ""}`));
+}
+
+const total = problems.length + unreadable.length;
+if (total) {
+  console.error(`\n${total} data problem(s) found.`);
+  process.exit(1);
+}
+console.log("Data OK: every reference resolves.");
@@ -0,0 +1,40 @@
+/**
+ * Dev/preview stand-in for the lead endpoint: POST /api/leads validates the
+ * payload shape, logs it and answers 201 { reference }. Not part of the build.
+ */
+const REQUIRED = ["reference", "contact", "trip", "pricing"];
+
+function handle(req, res, next) {
+  if (req.url !== "/api/leads") return next();
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    return res.end();
+  }
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    let lead = null;
+    try {
+      lead = JSON.parse(body);
+    } catch {
+      // handled below
+    }
+    const missing = lead ? REQUIRED.filter((k) => !(k in lead)) : REQUIRED;
+    res.setHeader("Content-Type", "application/json");
+    if (missing.length) {
+      res.statusCode = 422;
+      return res.end(JSON.stringify({ error: `missing ${missing.join(", ")}` }));
+    }
+    console.log(`[mock leads] ${lead.reference} — ${lead.contact.name} ${lead.contact.phone}, total ${lead.pricing.total}`);
+    res.statusCode = 201;
+    res.end(JSON.stringify({ reference: lead.reference }));
+  });
+}
+
+export default function mockLeadsApi() {
+  return {
+    name: "mock-leads-api",
+    configureServer: (server) => server.middlewares.use(handle),
+    configurePreviewServer: (server) => server.middlewares.use(handle),
+  };
+}
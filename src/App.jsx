@@ -1,20 +1,83 @@
 import React, { useMemo, useState, useEffect } from "react";
 import MobileSummaryBar from "./components/MobileSummaryBar.jsx";
+import DayTimeline from "./components/DayTimeline.jsx";
+import ItineraryMap, { dayColor } from "./components/ItineraryMap.jsx";
+import LoadingScreen from "./components/LoadingScreen.jsx";
+import { useAndamanData } from "./hooks/useAndamanData.js";
+import { DATA_FILES } from "./utils/dataSchema.js";
+import { DAY_BUDGET_HRS, DEFAULT_ISLANDS, dayHours, generateItineraryDays, fitItineraryToNights, overnightIsland } from "./utils/itinerary.js";
+import { checkItinerarySeasons, isInSeasonForTrip } from "./utils/seasons.js";
+import { scheduleDay } from "./utils/schedule.js";
+import { driveMins, routeHops } from "./utils/routing.js";
+import { offersClass } from "./utils/ferries.js";
+import { moveItemTo, moveDay, addFerryLeg, mergeSelectionChange, placeAddons } from "./utils/dayEdits.js";
+import { useDayDragDrop } from "./hooks/useDayDragDrop.js";
+import { useEditHistory } from "./hooks/useEditHistory.js";
+import { useDrafts } from "./hooks/useDrafts.js";
+import DraftsPanel from "./components/DraftsPanel.jsx";
+import PrintableItinerary from "./components/PrintableItinerary.jsx";
+import { buildItineraryIcs, downloadIcs } from "./utils/ics.js";
+import LeadFlow from "./components/LeadFlow.jsx";
+import { flushLeadQueue } from "./utils/leads.js";
+import {
+  cabDayRate,
+  cabModels,
+  defaultCabModelId,
+  ferryFare,
+  p2pRatePerHop,
+  scooterDayRate,
+} from "./utils/pricing.js";
+import { applyRules, priceRange, stayIssues } from "./utils/pricingRules.js";
+import { EMPTY_DRAFT_STATE } from "./utils/drafts.js";
+import { addDays, formatINR } from "./utils/normalize.js";
+import {
+  AMENITIES,
+  HOTEL_SORTS,
+  MEAL_PLANS,
+  carryRoomPicks,
+  defaultPick,
+  findHotels,
+  fromPrice,
+  hotelsByIsland,
+  mealPlanLabel,
+  offeredMealPlans,
+  resolvePick,
+  roomNightRate,
+  roomOccupancy,
+} from "./utils/hotels.js";
+import HotelCard from "./components/HotelCard.jsx";
+import BudgetFitDiff from "./components/BudgetFitDiff.jsx";
+import { fitToBudget } from "./utils/budgetFit.js";
+import { activityLinks, listNames, recommendActivities } from "./utils/recommendations.js";
+import { FITNESS_LEVELS, SWIM_LEVELS, checkActivityRules, describeRestrictions } from "./utils/activityRules.js";
+import { activityPrice, describeTravellers, headCount, nightCost, paxUnits, roomsFor, travellerMix } from "./utils/travellers.js";
+import { SHARE_PARAM, decodeTrip, encodeTrip, tripTokenFrom } from "./utils/shareLink.js";
 
 /* -----------------------------
    Helpers / Normalizers
 ------------------------------ */
-const safeNum = (n) => (typeof n === "number" && isFinite(n) ? n : 0);
-const formatINR = (n) =>
-  new Intl.NumberFormat("en-IN", { style: "currency", currency: "INR", maximumFractionDigits: 0 })
-    .format(safeNum(n));
-
-const addDays = (yyyy_mm_dd, n) => {
-  if (!yyyy_mm_dd) return null;
-  const d = new Date(yyyy_mm_dd);
-  d.setDate(d.getDate() + n);
-  return d.toISOString().slice(0, 10);
-};
+// "₹12,000" or "₹12,000 – ₹15,500"
+const formatINRRange = ({ min, max }) => (min === max ? formatINR(min) : `${formatINR(min)} – ${formatINR(max)}`);
+
+// a rate that may be missing for the date (utils/pricing rateOn → null)
+const formatRate = (n) => (n == null ? "price on request" : formatINR(n));
+
+// cost line text when some nights/legs/days have no rate: "₹12,000 + price on request"
+const withOnRequest = (text, amount, onRequest) =>
+  !onRequest ? text : amount ? `${text} + price on request` : "Price on request";
+
+// "2 rooms + 1 extra bed + 1 child bed" — see utils/travellers roomsFor
+const describeRooms = ({ rooms, extraAdultBeds, childBeds }) =>
+  [
+    `${rooms} room${rooms === 1 ? "" : "s"}`,
+    extraAdultBeds ? `${extraAdultBeds} extra bed${extraAdultBeds === 1 ? "" : "s"}` : null,
+    childBeds ? `${childBeds} child bed${childBeds === 1 ? "" : "s"}` : null,
+  ]
+    .filter(Boolean)
+    .join(" + ");
+
+// group-priced activities are sold per boat/vehicle, not per person
+const groupNote = (a) => (a.priceUnit === "group" ? ` · boats of up to ${a.groupSize}` : "");
 
 // beachy inline placeholder (no file needed)
 const DEFAULT_BEACH_IMG =
@@ -93,201 +156,39 @@ const durOf = (l) =>
     : 2;
 
 /* -----------------------------
-   Static pricing & lists
+   Static lists (prices live in public/data/pricing.json)
 ------------------------------ */
-const DEFAULT_ISLANDS = [
-  "Port Blair (South Andaman)",
-  "Havelock (Swaraj Dweep)",
-  "Neil (Shaheed Dweep)",
-  "Long Island (Middle Andaman)",
-  "Rangat (Middle Andaman)",
-  "Mayabunder (Middle Andaman)",
-  "Diglipur (North Andaman)",
-  "Little Andaman",
-];
-
-const FERRY_BASE_ECON = 1500; // per pax, per leg
-const FERRY_CLASS_MULT = { Economy: 1, Deluxe: 1.4, Luxury: 1.9 };
-
-const CAB_MODELS = [
-  { id: "sedan", label: "Sedan", dayRate: 2500 },
-  { id: "suv", label: "SUV", dayRate: 3200 },
-  { id: "innova", label: "Toyota Innova", dayRate: 3800 },
-  { id: "traveller", label: "Tempo Traveller (12)", dayRate: 5200 },
-];
-const P2P_RATE_PER_HOP = 500;
-const SCOOTER_DAY_RATE = 800;
-
 const SEATMAP_URL = "https://seatmap.example.com";
 
-/* -----------------------------
-   Itinerary generator
------------------------------- */
-const orderByBestTime = (items) => {
-  const rank = (it) => {
-    const arr = (it.bestTimes || []).map((x) => String(x).toLowerCase());
-    if (arr.some((t) => t.includes("morning") || t.includes("sunrise"))) return 0;
-    if (arr.some((t) => t.includes("afternoon"))) return 1;
-    if (arr.some((t) => t.includes("evening") || t.includes("sunset"))) return 2;
-    return 3;
-  };
-  return [...items].sort((a, b) => rank(a) - rank(b));
-};
-
-function generateItineraryDays(selectedLocs, startFromPB = true) {
-  const days = [];
-  // Day 1: Airport arrival (locked)
-  days.push({
-    island: "Port Blair (South Andaman)",
-    items: [
-      { type: "arrival", name: "Arrival - Veer Savarkar Intl. Airport (IXZ)" },
-      { type: "transfer", name: "Airport → Hotel (Port Blair)" },
-    ],
-    transport: "Point-to-Point",
-  });
-
-  if (!selectedLocs.length) {
-    days.push({
-      island: "Port Blair (South Andaman)",
-      items: [{ type: "departure", name: "Airport Departure (IXZ) — Fly Out" }],
-      transport: "—",
-    });
-    return days;
-  }
+// ferry class and cab model until the traveller picks them (cabModelId null = the catalog's default)
+const DEFAULT_ESSENTIALS = { ferryClass: "Deluxe", cabModelId: null };
 
-  // group by island
-  const byIsland = {};
-  selectedLocs.forEach((l) => ((byIsland[l.island] ||= []).push(l)));
+// the plan inputs that aren't part of the undo history
+const settingsKeyOf = ({ startPB, targetNights, startDate }) => JSON.stringify([startPB, targetNights, startDate]);
 
-  // sort and force PB first
-  let order = Object.keys(byIsland).sort(
-    (a, b) => DEFAULT_ISLANDS.indexOf(a) - DEFAULT_ISLANDS.indexOf(b)
-  );
-  if (startFromPB) {
-    const pb = "Port Blair (South Andaman)";
-    if (order.includes(pb)) order = [pb, ...order.filter((x) => x !== pb)];
-    else order = [pb, ...order];
-  }
-
-  // build days (~7h/day)
-  order.forEach((island, idx) => {
-    const locs = orderByBestTime(byIsland[island] || []);
-    let bucket = [];
-    let time = 0;
-
-    const flush = () => {
-      if (!bucket.length) return;
-      if (bucket.length === 1 && locs.length) {
-        const n = locs.shift();
-        if (n) {
-          bucket.push(n);
-          time += durOf(n);
-        }
-      }
-      days.push({
-        island,
-        items: bucket.map((x) => ({
-          type: "location",
-          ref: x.id,
-          name: nameOf(x),
-          durationHrs: durOf(x),
-          bestTimes: x.bestTimes || [],
-        })),
-        transport:
-          bucket.length >= 3
-            ? "Day Cab"
-            : /Havelock|Neil/.test(island)
-            ? "Scooter"
-            : "Point-to-Point",
-      });
-      bucket = [];
-      time = 0;
-    };
-
-    while (locs.length) {
-      const x = locs.shift();
-      const d = durOf(x);
-      if (bucket.length >= 4 || time + d > 7) flush();
-      bucket.push(x);
-      time += d;
-    }
-    flush();
+const ferryLabel = (it) =>
+  [
+    it.name,
+    it.time,
+    it.operator,
+    it.scheduled === false ? "no fixed schedule — confirm locally" : null,
+  ]
+    .filter(Boolean)
+    .join(" • ");
 
-    const nextIsland = order[idx + 1];
-    if (nextIsland) {
-      days.push({
-        island,
-        items: [{ type: "ferry", name: `Ferry ${island} → ${nextIsland}`, time: "08:00–09:30" }],
-        transport: "—",
-      });
-    }
-  });
-
-  // return to PB + departure
-  const lastIsland = days[days.length - 1]?.island;
-  if (lastIsland !== "Port Blair (South Andaman)") {
-    days.push({
-      island: lastIsland || "—",
-      items: [{ type: "ferry", name: `Ferry ${lastIsland} → Port Blair (South Andaman)` }],
-      transport: "—",
-    });
-  }
-  days.push({
-    island: "Port Blair (South Andaman)",
-    items: [{ type: "departure", name: "Airport Departure (IXZ) — Fly Out" }],
-    transport: "—",
-  });
-
-  return days;
-}
+const itemLabel = (it) =>
+  it.type === "ferry" ? ferryLabel(it) :
+  it.type === "arrival" || it.type === "transfer" || it.type === "departure" ? it.name :
+  `${it.name} (${it.part ? `day ${it.part} of ${it.days}, ` : ""}${it.durationHrs}h${it.days > 1 && !it.part ? ` a day × ${it.days} days` : ""})${it.suggested ? " — suggested" : ""}${it.type === "activity" ? " — adventure" : ""}`;
 
 /* -----------------------------
    App
 ------------------------------ */
 export default function App() {
-  // raw data
-  const [rawLocations, setRawLocations] = useState([]);
-  const [activities, setActivities] = useState([]);
-  const [ferries, setFerries] = useState([]);
-  const [locAdventures, setLocAdventures] = useState([]);
-  const [dataStatus, setDataStatus] = useState("loading");
-
-  // load
-  useEffect(() => {
-    (async () => {
-      const withTimeout = (p, ms, label) =>
-        Promise.race([
-          p,
-          new Promise((_, rj) => setTimeout(() => rj(new Error(`${label} timed out after ${ms}ms`)), ms)),
-        ]);
-      const fetchJSON = async (path, label) => {
-        try {
-          const res = await withTimeout(fetch(path, { cache: "no-store" }), 8000, label);
-          if (!res.ok) throw new Error(`${label} ${res.status} ${res.statusText}`);
-          const ct = res.headers.get("content-type") || "";
-          if (!ct.includes("application/json")) throw new Error(`${label} returned non-JSON: ${ct}`);
-          return res.json();
-        } catch (e) {
-          console.error(`[data] ${label}:`, e);
-          return null;
-        }
-      };
-
-      const [locs, acts, fers, map] = await Promise.all([
-        fetchJSON("/data/locations.json", "locations"),
-        fetchJSON("/data/activities.json", "activities"),
-        fetchJSON("/data/ferries.json", "ferries"),
-        fetchJSON("/data/location_adventures.json", "location_adventures"),
-      ]);
-
-      setRawLocations(Array.isArray(locs) ? locs : []);
-      setActivities(Array.isArray(acts) ? acts : []);
-      setFerries(Array.isArray(fers) ? fers : []);
-      setLocAdventures(Array.isArray(map) ? map : []);
-
-      setDataStatus("ready");
-    })();
-  }, []);
+  // data (see hooks/useAndamanData): validated per file, with fallbacks for optional files
+  const data = useAndamanData();
+  const { locations: rawLocations, activities, ferries, locAdventures, pricing, hotels } = data;
+  const dataStatus = data.status;
 
   // normalize
   const locations = useMemo(() => {
@@ -314,11 +215,44 @@ export default function App() {
   const [startDate, setStartDate] = useState("");
   const [adults, setAdults] = useState(2);
   const [infants, setInfants] = useState(0);
-  const pax = adults + infants;
+  const [childAges, setChildAges] = useState([]); // one age per child, 2 up to pricing.travellers.childMaxAge
+  // children over the age limit count as adults; room count follows hotel occupancy
+  const mix = useMemo(
+    () => travellerMix({ adults, childAges, infants }, pricing.travellers),
+    [adults, childAges, infants, pricing]
+  );
+  const pax = headCount(mix);
+  // weakest swimmer / fitness in the group, for activity restrictions ("" = not said)
+  const [abilities, setAbilities] = useState({ swimming: "", fitness: "" });
   const [startPB, setStartPB] = useState(true);
-
-  // selection
-  const [selectedIds, setSelectedIds] = useState([]);
+  const [targetNights, setTargetNights] = useState(""); // "" = no fixed length
+  const [budget, setBudget] = useState(""); // all-in spending cap in INR, "" = none
+
+  // undoable edits: location selection, add-ons, the day plan, hotel picks and transport
+  // choices share one history.
+  // `base` is the generated plan `days` started from; `planKey` the inputs it was built for.
+  const history = useEditHistory({
+    selectedIds: [],
+    addonIds: [],
+    days: [],
+    roomPicks: {},
+    essentials: DEFAULT_ESSENTIALS,
+    scooterIslands: new Set(),
+    base: null,
+    planKey: "",
+    settingsKey: "",
+  });
+  const { selectedIds, addonIds, days, roomPicks, essentials, scooterIslands } = history.present;
+  const setEdited = (field) => (next) =>
+    history.commit((s) => ({ ...s, [field]: typeof next === "function" ? next(s[field]) : next }));
+  const setSelectedIds = setEdited("selectedIds");
+  const setAddonIds = setEdited("addonIds");
+  const setRoomPicks = setEdited("roomPicks");
+  const setEssentials = setEdited("essentials"); // ferry class (also picks the sailings) and cab model
+  const setScooterIslands = setEdited("scooterIslands");
+  // hotel picks are keyed by night, so they follow the days through every edit
+  const withDays = (s, next) => ({ ...s, days: next, roomPicks: carryRoomPicks(s.roomPicks, s.days, next) });
+  const setDays = (next) => history.commit((s) => withDays(s, typeof next === "function" ? next(s.days) : next));
 
   // hide airport from selection
   const selectableLocations = useMemo(
@@ -327,15 +261,20 @@ export default function App() {
   );
   const [islandFilter, setIslandFilter] = useState("All");
   const [moodFilter, setMoodFilter] = useState("All");
+  const [inSeasonOnly, setInSeasonOnly] = useState(false);
+
+  // season check spans the fixed trip length when set, else just the start date
+  const inSeason = (l) => isInSeasonForTrip(l, startDate, targetNights ? targetNights + 1 : 1);
 
   const filteredLocations = useMemo(
     () =>
       selectableLocations.filter(
         (l) =>
           (islandFilter === "All" || l.island === islandFilter) &&
-          (moodFilter === "All" || (l.moods || []).includes(moodFilter))
+          (moodFilter === "All" || (l.moods || []).includes(moodFilter)) &&
+          (!inSeasonOnly || !startDate || inSeason(l))
       ),
-    [selectableLocations, islandFilter, moodFilter]
+    [selectableLocations, islandFilter, moodFilter, inSeasonOnly, startDate, targetNights]
   );
 
   const selectedLocs = useMemo(
@@ -344,10 +283,55 @@ export default function App() {
   );
 
   // itinerary
-  const [days, setDays] = useState([]);
+  const plan = useMemo(() => {
+    const opts = { ferries, startDate, ferryClass: essentials.ferryClass };
+    if (!targetNights) return { days: generateItineraryDays(selectedLocs, startPB, opts), leftOut: [] };
+    return fitItineraryToNights(selectedLocs, targetNights, startPB, {
+      ...opts,
+      priorityIds: selectedIds,
+      pool: selectableLocations,
+    });
+  }, [selectedLocs, selectedIds, selectableLocations, startPB, ferries, startDate, targetNights, essentials.ferryClass]);
+  // a new plan keeps manual day edits when only the selection changed; other
+  // changes (dates, trip length, start point) rebuild the days
+  const [editNotice, setEditNotice] = useState(null); // { message, fix? }
+  const settingsKey = settingsKeyOf({ startPB, targetNights, startDate });
+  const planKey = `${settingsKey}#${ferries.length}/${selectableLocations.length}/${essentials.ferryClass}#${selectedIds.join(",")}`;
   useEffect(() => {
-    setDays(generateItineraryDays(selectedLocs, startPB));
-  }, [selectedLocs, startPB]);
+    const s = history.present;
+    if (s.planKey === planKey) return;
+    const edited = s.base !== null && s.days !== s.base;
+    let next = plan.days;
+    if (edited && s.settingsKey === settingsKey) {
+      const merged = mergeSelectionChange(s.days, plan.days);
+      next = merged.days;
+      if (!merged.kept) setEditNotice({ message: "The islands in your trip changed, so the days were rebuilt. Undo (Ctrl+Z) brings your edited days back." });
+    } else if (edited) {
+      // its own history step, so undo returns to the edited days
+      setEditNotice({ message: "Trip settings changed, so the days were rebuilt. Undo (Ctrl+Z) brings your edited days back." });
+      history.commit({ ...withDays(s, next), base: plan.days, planKey, settingsKey });
+      return;
+    }
+    history.replace({ ...withDays(s, next), base: plan.days, planKey, settingsKey });
+  }, [plan]);
+
+  const locationsById = useMemo(
+    () => Object.fromEntries(locations.map((l) => [l.id, l])),
+    [locations]
+  );
+  const seasonWarnings = useMemo(
+    () => checkItinerarySeasons(days, locationsById, startDate),
+    [days, locationsById, startDate]
+  );
+  const daySchedules = useMemo(
+    () =>
+      days.map((day) =>
+        scheduleDay(day, locationsById, {
+          travelMins: (a, b) => driveMins(locationsById[a.ref], locationsById[b.ref], overnightIsland(day) || day.island),
+        })
+      ),
+    [days, locationsById]
+  );
 
   // day helpers (lock last departure day)
   const addEmptyDayAfter = (i) => {
@@ -377,13 +361,53 @@ export default function App() {
     copy.splice(index, 1);
     setDays(copy);
   };
+  // drag & drop / keyboard moves; rejected moves show a notice instead
+  const islandOfItem = (it) => it.island || locationsById[it.ref]?.island;
+  const moveItemToDay = (from, to) => {
+    const res = moveItemTo(days, from, to, { islandOf: islandOfItem });
+    if (!res.error) {
+      setDays(res.days);
+      setEditNotice(null);
+      return;
+    }
+    const it = days[from.day]?.items[from.index];
+    const island = it && islandOfItem(it);
+    setEditNotice({
+      message: res.error,
+      fix: island && /ferry leg/.test(res.error) ? () => {
+        const withFerry = addFerryLeg(days, to.day, island).days;
+        setDays(moveItemTo(withFerry, from, to, { islandOf: islandOfItem }).days);
+        setEditNotice(null);
+      } : null,
+    });
+  };
   const moveItem = (fromDay, itemIdx, dir = 1) => {
     const toDay = fromDay + dir;
     if (toDay < 0 || toDay >= days.length) return;
-    const copy = [...days];
-    const [item] = copy[fromDay].items.splice(itemIdx, 1);
-    copy[toDay].items.push(item);
-    setDays(copy);
+    moveItemToDay({ day: fromDay, index: itemIdx }, { day: toDay, index: Infinity });
+  };
+  const moveItemWithinDay = (day, itemIdx, dir) =>
+    moveItemToDay({ day, index: itemIdx }, { day, index: dir < 0 ? itemIdx - 1 : itemIdx + 2 });
+  const moveDayTo = (from, to) => {
+    const res = moveDay(days, from, to);
+    if (res.error) setEditNotice({ message: res.error });
+    else {
+      setDays(res.days);
+      setEditNotice(null);
+    }
+  };
+  const dnd = useDayDragDrop({ onMoveItem: moveItemToDay, onMoveDay: moveDayTo });
+  const itemKeys = (day, k) => (e) => {
+    if (!e.altKey) return;
+    const moves = {
+      ArrowUp: () => moveItemWithinDay(day, k, -1),
+      ArrowDown: () => moveItemWithinDay(day, k, +1),
+      ArrowLeft: () => moveItem(day, k, -1),
+      ArrowRight: () => moveItem(day, k, +1),
+    };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+    moves[e.key]();
   };
   const setTransportForDay = (i, mode) => {
     const copy = [...days];
@@ -391,53 +415,57 @@ export default function App() {
     setDays(copy);
   };
 
-  // hotels
-  const [chosenHotels, setChosenHotels] = useState({});
+  // hotels: one room pick per night, `roomPicks` { [dayIdx]: { hotelId, roomId, mealPlan } } (see utils/hotels)
   const nightsByIsland = useMemo(() => {
     const map = {};
     days.forEach((day) => {
-      if (!day.items.some((i) => i.type === "ferry") && !day.items.some((i) => i.type === "departure")) {
-        map[day.island] = (map[day.island] || 0) + 1;
-      }
+      const island = overnightIsland(day);
+      if (island) map[island] = (map[island] || 0) + 1;
     });
     return map;
   }, [days]);
 
-  const MOCK_HOTELS = useMemo(
-    () => ({
-      "Port Blair (South Andaman)": [
-        { id: "pb_h1", name: "PB Value Hotel", tier: "Value", sell_price: 3299 },
-        { id: "pb_h2", name: "PB Mid Hotel", tier: "Mid", sell_price: 5499 },
-        { id: "pb_h3", name: "PB Premium Hotel", tier: "Premium", sell_price: 8899 },
-      ],
-      "Havelock (Swaraj Dweep)": [
-        { id: "hl_h1", name: "HL Value Hotel", tier: "Value", sell_price: 4499 },
-        { id: "hl_h2", name: "HL Mid Hotel", tier: "Mid", sell_price: 6999 },
-        { id: "hl_h3", name: "HL Premium Hotel", tier: "Premium", sell_price: 10999 },
-      ],
-      "Neil (Shaheed Dweep)": [
-        { id: "nl_h1", name: "NL Value Hotel", tier: "Value", sell_price: 3399 },
-        { id: "nl_h2", name: "NL Mid Hotel", tier: "Mid", sell_price: 5699 },
-      ],
-      "Long Island (Middle Andaman)": [{ id: "li_h1", name: "LI Mid Hotel", tier: "Mid", sell_price: 6199 }],
-      "Rangat (Middle Andaman)": [{ id: "rg_h1", name: "Rangat Lodge", tier: "Value", sell_price: 2599 }],
-      "Mayabunder (Middle Andaman)": [{ id: "mb_h1", name: "Mayabunder Stay", tier: "Value", sell_price: 2399 }],
-      "Diglipur (North Andaman)": [{ id: "dg_h1", name: "DG Lodge", tier: "Value", sell_price: 2899 }],
-      "Little Andaman": [{ id: "la_h1", name: "Hut Stay", tier: "Value", sell_price: 2199 }],
-    }),
-    []
-  );
-  const chooseHotel = (island, hotelId) => setChosenHotels((p) => ({ ...p, [island]: hotelId }));
+  const HOTELS = useMemo(() => hotelsByIsland(hotels), [hotels]);
+  const hotelsById = useMemo(() => Object.fromEntries(hotels.map((h) => [h.id, h])), [hotels]);
+  const pickOn = (i, picks = roomPicks) => (days[i] ? resolvePick(picks[i], overnightIsland(days[i]), hotelsById) : null);
+  // selecting a hotel books it for every night on that island
+  const chooseHotel = (island, hotelId) => {
+    const pick = defaultPick(hotelsById[hotelId]);
+    setRoomPicks((p) => {
+      const next = { ...p };
+      days.forEach((day, i) => {
+        if (overnightIsland(day) === island) next[i] = pick;
+      });
+      return next;
+    });
+  };
+  // split stays: one night at a time; next to the same hotel the night keeps that room and meal plan
+  const setNightHotel = (i, hotelId) => {
+    const same = [pickOn(i - 1), pickOn(i + 1)].find((x) => x?.hotel.id === hotelId);
+    setRoomPicks((p) => {
+      const next = { ...p };
+      if (!hotelId) delete next[i];
+      else next[i] = same ? { hotelId, roomId: same.room.id, mealPlan: same.mealPlan } : defaultPick(hotelsById[hotelId]);
+      return next;
+    });
+  };
+  // room type / meal plan changes apply to the given nights
+  const updatePicks = (dayIdx, patch) =>
+    setRoomPicks((p) => {
+      const next = { ...p };
+      dayIdx.forEach((i) => (next[i] = { ...next[i], ...patch }));
+      return next;
+    });
+  const pickedHotelIds = (island) =>
+    new Set(days.map((_, i) => pickOn(i)).filter((x) => x && x.hotel.island === island).map((x) => x.hotel.id));
   const [hotelIsland, setHotelIsland] = useState("Port Blair (South Andaman)");
+  const [hotelFilter, setHotelFilter] = useState({ tier: "", mealPlan: "", amenities: [], maxBeachM: 0 });
+  const [hotelSort, setHotelSort] = useState("price");
+  const listHotels = (island) => findHotels(HOTELS[island] || [], hotelFilter, hotelSort, startDate);
 
-  // transport essentials
-  const [essentials, setEssentials] = useState({
-    ferryClass: "Deluxe",
-    cabModelId: CAB_MODELS[1].id,
-  });
+  const cabModelId = essentials.cabModelId || defaultCabModelId(pricing);
 
   // scooters
-  const [scooterIslands, setScooterIslands] = useState(new Set());
   const toggleScooter = (isl) => {
     const next = new Set(scooterIslands);
     next.has(isl) ? next.delete(isl) : next.add(isl);
@@ -445,12 +473,47 @@ export default function App() {
   };
 
   // ADVENTURES — suggested + all (grouped by island)
-  const [addonIds, setAddonIds] = useState([]);
-  const suggestedActivities = useMemo(() => {
-    if (!selectedLocs.length) return [];
-    const selectedIslands = new Set(selectedLocs.map((l) => l.island));
-    return activities.filter((a) => (a.islands || []).some((i) => selectedIslands.has(i)));
-  }, [activities, selectedLocs]);
+  // activities get moods the same way locations do, for the mood-overlap ranking
+  const activityMoods = useMemo(
+    () => activities.map((a) => ({ ...a, moods: a.moods?.length ? normalizeMoods(a.moods) : inferMoods(a) })),
+    [activities]
+  );
+  const suggestedActivities = useMemo(
+    () =>
+      recommendActivities(selectedLocs, activityMoods, {
+        links: locAdventures,
+        tripIslands: [...new Set(days.map((d) => d.island))],
+      }),
+    [selectedLocs, activityMoods, locAdventures, days]
+  );
+  const suggestionFor = useMemo(
+    () => Object.fromEntries(suggestedActivities.map((r) => [r.activity.id, r])),
+    [suggestedActivities]
+  );
+
+  // chosen add-ons live in the day plan as "activity" items, next to a linked stop when
+  // there is one; placing them rewrites the current history step, like a plan rebuild
+  const activitiesById = useMemo(() => Object.fromEntries(activities.map((a) => [a.id, a])), [activities]);
+  const linksByActivity = useMemo(() => activityLinks(locations, locAdventures), [locations, locAdventures]);
+  const addonPlacement = useMemo(
+    () =>
+      placeAddons(days, addonIds.map((id) => activitiesById[id]).filter(Boolean), {
+        linkedTo: (id) => linksByActivity[id] || [],
+      }),
+    [days, addonIds, activitiesById, linksByActivity]
+  );
+  useEffect(() => {
+    if (addonPlacement.days === days) return;
+    history.replace((s) =>
+      s.days !== days ? s : { ...withDays(s, addonPlacement.days), base: s.base === s.days ? addonPlacement.days : s.base }
+    );
+  }, [addonPlacement]);
+  const unplacedAddons = addonPlacement.unplaced; // none of their islands are in the trip
+  const activityWarnings = useMemo(
+    () => checkActivityRules(days, activitiesById, { party: { adults, childAges, infants }, profile: abilities }),
+    [days, activitiesById, adults, childAges, infants, abilities]
+  );
+  const isUnplaced = (id) => unplacedAddons.some((a) => a.id === id);
 
   const activitiesByIsland = useMemo(() => {
     const map = {};
@@ -462,73 +525,358 @@ export default function App() {
     return map;
   }, [activities]);
 
+  // drafts: everything needed to rebuild the planner after a reload
+  const draftState = {
+    step,
+    startDate,
+    adults,
+    childAges,
+    infants,
+    startPB,
+    targetNights,
+    budget,
+    abilities,
+    selectedIds,
+    addonIds,
+    days,
+    roomPicks,
+    essentials,
+    scooterIslands: [...scooterIslands],
+  };
+  const restoreDraft = (d) => {
+    setStep(d.step);
+    setStartDate(d.startDate);
+    setAdults(d.adults);
+    setChildAges(d.childAges || []);
+    setInfants(d.infants);
+    setStartPB(d.startPB);
+    setTargetNights(d.targetNights);
+    setBudget(d.budget ?? "");
+    setAbilities(d.abilities || { swimming: "", fitness: "" });
+    // saved days count as edited, so the plan effect merges into them instead of regenerating
+    history.commit({
+      selectedIds: d.selectedIds,
+      addonIds: d.addonIds,
+      days: d.days,
+      roomPicks: d.roomPicks || {},
+      essentials: d.essentials || DEFAULT_ESSENTIALS,
+      scooterIslands: new Set(d.scooterIslands),
+      base: d.days.length ? [] : null,
+      planKey: "",
+      settingsKey: settingsKeyOf(d),
+    });
+    setEditNotice(null);
+  };
+  const drafts = useDrafts(draftState, restoreDraft);
+
+  // shared trip links (#trip=…): opened as a new draft so nothing already saved is overwritten
+  const [sharedTrip, setSharedTrip] = useState(null); // { state, stale, error, pending }
+  const [shareUrl, setShareUrl] = useState(null);
+  useEffect(() => {
+    if (dataStatus === "loading") return;
+    const readHash = async () => {
+      const token = tripTokenFrom(window.location.hash);
+      if (!token) return;
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+      let res;
+      try {
+        res = await decodeTrip(token, { locationsById, activityIds: new Set(activities.map((a) => a.id)) });
+      } catch (e) {
+        console.error("[share] couldn't open trip link", e);
+        res = { state: null, stale: [], error: "This trip link is damaged or incomplete." };
+      }
+      if (res.error) return setSharedTrip(res);
+      const state = {
+        ...EMPTY_DRAFT_STATE,
+        ...res.state,
+        essentials: cabModels(pricing).some((c) => c.id === res.state.essentials?.cabModelId) ? res.state.essentials : null,
+      };
+      // nothing to lose → open straight away; otherwise ask first
+      const blank = !drafts.drafts.length && !selectedIds.length;
+      if (blank) drafts.startNew(state, "Shared trip");
+      setSharedTrip({ ...res, state, pending: !blank });
+    };
+    readHash();
+    window.addEventListener("hashchange", readHash);
+    return () => window.removeEventListener("hashchange", readHash);
+  }, [dataStatus, locationsById, activities, pricing, drafts.drafts.length, selectedIds.length]);
+  const copyShareLink = async () => {
+    const token = await encodeTrip(draftState);
+    const url = `${window.location.origin}${window.location.pathname}#${SHARE_PARAM}=${token}`;
+    setShareUrl(url);
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch {
+      // clipboard blocked — the link stays visible for manual copying
+    }
+  };
+
   /* -------- Totals -------- */
-  const hotelsTotal = useMemo(() => {
-    let sum = 0;
-    Object.entries(nightsByIsland).forEach(([island, nights]) => {
-      const hid = chosenHotels[island];
-      if (!hid) return;
-      const h = (MOCK_HOTELS[island] || []).find((x) => x.id === hid);
-      if (h) sum += safeNum(h.sell_price) * nights;
+  // hotel and ferry prices follow the date rules (peak, weekend, min stay, blackout);
+  // without a start date they are shown as the range over the coming year
+  const hotelStays = useMemo(() => {
+    const stays = []; // consecutive nights on one island
+    days.forEach((day, i) => {
+      const island = overnightIsland(day);
+      if (!island) return;
+      const last = stays[stays.length - 1];
+      if (last && last.island === island && last.dayIdx[last.dayIdx.length - 1] === i - 1) last.dayIdx.push(i);
+      else stays.push({ island, dayIdx: [i] });
     });
-    return sum;
-  }, [nightsByIsland, chosenHotels, MOCK_HOTELS]);
+    return stays;
+  }, [days]);
 
-  const addonsTotal = useMemo(
-    () =>
-      addonIds.reduce((acc, id) => {
-        const ad = activities.find((a) => a.id === id);
-        return acc + safeNum(ad?.basePriceINR ?? ad?.price);
-      }, 0),
-    [addonIds, activities]
+  // each island stay is split into segments of consecutive nights with the same room pick;
+  // a night costs room type × meal plan (after date rules) × the rooms the travellers need
+  // nights with no room rate on their date are priced "on request" and left out of the total
+  const priceHotels = (start, picks = roomPicks) => {
+    let total = 0;
+    let onRequest = 0;
+    const stays = hotelStays.map(({ island, dayIdx }) => {
+      const segments = [];
+      dayIdx.forEach((i) => {
+        const pick = pickOn(i, picks);
+        if (!pick) return;
+        const date = addDays(start, i);
+        const occupancy = roomOccupancy(pick.room, pricing.hotels.occupancy);
+        const rooms = roomsFor(mix, occupancy);
+        const rate = applyRules(roomNightRate(pick.room, pick.mealPlan, date), { category: "hotel", date, island }, pricing.rules);
+        if (rate.amount == null) onRequest += 1;
+        const amount = rate.amount == null ? null : nightCost(rate.amount, rooms, occupancy);
+        const night = { dayIdx: i, date, ...rate, roomRate: rate.amount, amount };
+        const last = segments[segments.length - 1];
+        const same = last && last.room === pick.room && last.mealPlan === pick.mealPlan && last.nights[last.nights.length - 1].dayIdx === i - 1;
+        if (same) last.nights.push(night);
+        else segments.push({ ...pick, rooms, nights: [night] });
+      });
+      segments.forEach((seg) => (seg.subtotal = seg.nights.reduce((acc, n) => acc + (n.amount ?? 0), 0)));
+      const subtotal = segments.reduce((acc, seg) => acc + seg.subtotal, 0);
+      total += subtotal;
+      const issues = start ? stayIssues(dayIdx.map((i) => addDays(start, i)), island, pricing.rules) : [];
+      return { island, dayIdx, segments, subtotal, issues };
+    });
+    return { total, stays, onRequest };
+  };
+  const hotelQuote = useMemo(() => priceHotels(startDate), [hotelStays, hotelsById, roomPicks, startDate, pricing, mix]);
+  const hotelsTotal = hotelQuote.total;
+  // nights that start at a different hotel on the same island: { [dayIdx]: { from, to } }
+  const hotelMoves = useMemo(() => {
+    const moves = {};
+    hotelQuote.stays.forEach((st) =>
+      st.segments.forEach((seg, k) => {
+        const prev = st.segments[k - 1];
+        const first = seg.nights[0].dayIdx;
+        if (prev && prev.hotel !== seg.hotel && prev.nights[prev.nights.length - 1].dayIdx === first - 1) {
+          moves[first] = { from: prev.hotel, to: seg.hotel };
+        }
+      })
+    );
+    return moves;
+  }, [hotelQuote]);
+  // check-in on the first night's date, check-out the morning after the last
+  const stayWhen = (nights) => {
+    const a = nights[0].dayIdx;
+    const b = nights[nights.length - 1].dayIdx + 1;
+    return startDate
+      ? `Check-in ${addDays(startDate, a)} · check-out ${addDays(startDate, b)}`
+      : `Check-in day ${a + 1} · check-out day ${b + 1}`;
+  };
+  // the year-long range scans (365 trip totals) only rerun when what they price changes:
+  // the booked rooms night by night here, the ferry legs below — not on every day edit
+  const hotelNightsKey = JSON.stringify(
+    hotelStays.map(({ island, dayIdx }) => [
+      island,
+      dayIdx.map((i) => {
+        const p = pickOn(i);
+        return p && [i, p.hotel.id, p.room.id, p.mealPlan];
+      }),
+    ])
   );
-
-  const ferryLegCount = useMemo(
-    () => days.reduce((acc, d) => acc + d.items.filter((i) => i.type === "ferry").length, 0),
-    [days]
+  const hotelsRange = useMemo(
+    () => (startDate ? { min: hotelsTotal, max: hotelsTotal } : priceRange((d) => priceHotels(d).total)),
+    [hotelNightsKey, hotelsById, startDate, pricing, mix]
   );
-  const ferryTotal = useMemo(() => {
-    const mult = FERRY_CLASS_MULT[essentials.ferryClass] ?? 1;
-    return ferryLegCount * FERRY_BASE_ECON * mult * Math.max(1, adults);
-  }, [ferryLegCount, essentials.ferryClass, adults]);
 
-  const cabDayRate = useMemo(() => {
-    const found = CAB_MODELS.find((c) => c.id === essentials.cabModelId);
-    return found ? found.dayRate : CAB_MODELS[0].dayRate;
-  }, [essentials.cabModelId]);
+  const priceAddons = (ids = addonIds) =>
+    ids.reduce((acc, id) => {
+      const ad = activities.find((a) => a.id === id);
+      return acc + activityPrice(ad, mix, pricing.activities.paxFactors);
+    }, 0);
+  const addonsTotal = useMemo(() => priceAddons(), [addonIds, activities, mix, pricing]);
 
-  const logisticsTotal = useMemo(() => {
+  // rates are looked up for each day's date (today's rates when no start date is set)
+  // legs on blackout dates can't be booked: on request, with an issue on their day
+  const priceFerries = (start, ferryClass = essentials.ferryClass) => {
     let sum = 0;
-    days.forEach((day) => {
-      if (day.items.some((i) => i.type === "ferry") || day.items.some((i) => i.type === "departure")) return;
-      const stops = day.items.filter((i) => i.type === "location").length;
-      if (scooterIslands.has(day.island)) {
-        sum += SCOOTER_DAY_RATE;
+    let onRequest = 0;
+    const issues = [];
+    days.forEach((day, i) => {
+      const date = addDays(start, i);
+      day.items
+        .filter((it) => it.type === "ferry")
+        .forEach((it) => {
+          const fare = applyRules(ferryFare(pricing, it, { date, ferryClass }), { category: "ferry", date, island: it.from }, pricing.rules);
+          if (fare.blackout) issues.push({ dayIdx: i, message: `${fare.blackout}: no ferry bookings from ${it.from} on ${date}.` });
+          if (fare.amount == null) onRequest += 1;
+          else sum += fare.amount;
+        });
+    });
+    return { total: Math.round(sum * paxUnits(mix, pricing.ferries.paxFactors)), onRequest, issues };
+  };
+  const ferryQuote = useMemo(() => priceFerries(startDate), [days, startDate, pricing, essentials.ferryClass, mix]);
+  const ferryTotal = ferryQuote.total;
+  const ferryLegsKey = JSON.stringify(days.map((d) => d.items.filter((it) => it.type === "ferry").map((it) => [it.routeId, it.from])));
+  const ferryRange = useMemo(
+    () => (startDate ? { min: ferryTotal, max: ferryTotal } : priceRange((d) => priceFerries(d).total)),
+    [ferryLegsKey, startDate, pricing, essentials.ferryClass, mix]
+  );
+
+  const priceLogistics = (scooters = scooterIslands) => {
+    let sum = 0;
+    let onRequest = 0;
+    const add = (rate, times = 1) => (rate == null ? (onRequest += 1) : (sum += rate * times));
+    days.forEach((day, i) => {
+      if (day.items.some((i) => i.type === "departure")) return;
+      const stops = day.items.filter((i) => i.type === "location" || i.type === "activity").length;
+      // ferry days only need ground transport for same-day sightseeing on arrival
+      const ferryDay = day.items.some((i) => i.type === "ferry");
+      if (ferryDay && !stops) return;
+      const island = ferryDay ? overnightIsland(day) : day.island;
+      const date = addDays(startDate, i);
+      if (scooters.has(island)) {
+        add(scooterDayRate(pricing, island, date));
         return;
       }
-      if (day.transport === "Day Cab") sum += cabDayRate;
-      else if (day.transport === "Scooter") sum += SCOOTER_DAY_RATE;
-      else sum += Math.max(1, stops - 1) * P2P_RATE_PER_HOP;
+      if (day.transport === "Day Cab") add(cabDayRate(pricing, cabModelId, island, date));
+      else if (day.transport === "Scooter") add(scooterDayRate(pricing, island, date));
+      else {
+        const route = day.items.filter((i) => i.type === "location").map((i) => locationsById[i.ref] || {});
+        add(p2pRatePerHop(pricing, island, date), Math.max(1, routeHops(route, island)));
+      }
     });
-    return sum;
-  }, [days, scooterIslands, cabDayRate]);
+    return { total: sum, onRequest };
+  };
+  const logisticsQuote = useMemo(() => priceLogistics(), [days, startDate, scooterIslands, pricing, cabModelId, locationsById]);
+  const logisticsTotal = logisticsQuote.total;
 
   const grandTotal = hotelsTotal + addonsTotal + logisticsTotal + ferryTotal;
+  const fixedTotal = grandTotal - hotelsTotal - ferryTotal;
+  const grandRange = {
+    min: fixedTotal + hotelsRange.min + ferryRange.min,
+    max: fixedTotal + hotelsRange.max + ferryRange.max,
+  };
+  const onRequest = hotelQuote.onRequest + ferryQuote.onRequest + logisticsQuote.onRequest;
+  const costLines = [
+    { label: "Hotels", amount: hotelsTotal, text: withOnRequest(formatINRRange(hotelsRange), hotelsRange.max, hotelQuote.onRequest) },
+    { label: "Ferries", amount: ferryTotal, text: withOnRequest(formatINRRange(ferryRange), ferryRange.max, ferryQuote.onRequest) },
+    { label: "Ground transport", amount: logisticsTotal, text: withOnRequest(formatINR(logisticsTotal), logisticsTotal, logisticsQuote.onRequest) },
+    { label: "Adventures", amount: addonsTotal },
+  ];
+
+  const exportCalendar = () => {
+    const ics = buildItineraryIcs({
+      days,
+      schedules: daySchedules,
+      startDate,
+      labelFor: (it) => (it.type === "ferry" ? ferryLabel(it) : it.name),
+      describe: (it) => (it.type === "activity" ? activitiesById[it.ref]?.brief : locationsById[it.ref]?.brief) || "",
+    });
+    if (ics) downloadIcs(ics, `andaman-trip-${startDate}.ics`);
+  };
+
+  /* -------- Request to Book -------- */
+  const [showLead, setShowLead] = useState(false);
+  const openLead = () => setShowLead(true);
+  const chosenAddons = addonIds
+    .map((id) => activities.find((a) => a.id === id))
+    .filter(Boolean)
+    .map((a) => ({ id: a.id, name: a.name, price: activityPrice(a, mix, pricing.activities.paxFactors) }));
+  const leadQuote = {
+    startDate,
+    pax: { adults: mix.adults, childAges: mix.children, infants },
+    days,
+    addons: chosenAddons,
+    hotels: hotelQuote.stays.flatMap((st) =>
+      st.segments.map((seg) => ({
+        island: st.island,
+        hotelId: seg.hotel.id,
+        hotel: seg.hotel.name,
+        roomId: seg.room.id,
+        room: seg.room.name,
+        mealPlan: seg.mealPlan,
+        rooms: seg.rooms.rooms,
+        nights: seg.nights.map((n) => n.date || `Day ${n.dayIdx + 1}`),
+      }))
+    ),
+    lineItems: costLines,
+    total: grandTotal,
+    totalText: formatINRRange(grandRange),
+    ...(startDate ? {} : { totalRange: grandRange }),
+    currency: pricing.currency.code,
+  };
+  // queued leads go out on the next load, on reconnect, and every minute while the page is
+  // open (they're also queued when the server fails while we're online)
+  useEffect(() => {
+    const flush = () => flushLeadQueue();
+    flush();
+    const timer = setInterval(flush, 60000);
+    window.addEventListener("online", flush);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("online", flush);
+    };
+  }, []);
+
+  /* -------- Budget fit -------- */
+  // candidate plans are priced with the same cost model as the totals (base rates until dates are set)
+  const [budgetFit, setBudgetFit] = useState(null); // fitToBudget() proposal under review
+  const proposeBudgetFit = () => {
+    const linked = new Set(suggestedActivities.filter((r) => r.tier === "linked").map((r) => r.activity.id));
+    const cabIslands = days
+      .filter((d) => d.transport === "Day Cab")
+      .map((d) => (d.items.some((it) => it.type === "ferry") ? overnightIsland(d) : d.island));
+    setBudgetFit(
+      fitToBudget({ roomPicks, ferryClass: essentials.ferryClass, scooterIslands: [...scooterIslands], addonIds }, budget, {
+        totalOf: (p) =>
+          priceHotels(startDate, p.roomPicks).total +
+          priceFerries(startDate, p.ferryClass).total +
+          priceLogistics(new Set(p.scooterIslands)).total +
+          priceAddons(p.addonIds),
+        hotelsByIsland: HOTELS,
+        nightIslands: days.map(overnightIsland),
+        ferryClasses: pricing.ferries.classMultipliers,
+        cabIslands: [...new Set(cabIslands)].filter(Boolean),
+        addons: chosenAddons.map((a) => ({ ...a, linked: linked.has(a.id) })),
+      })
+    );
+  };
+  const acceptBudgetFit = () => {
+    const p = budgetFit.plan;
+    // one undo step for the whole proposal
+    history.commit((s) => ({
+      ...s,
+      roomPicks: p.roomPicks,
+      addonIds: p.addonIds,
+      essentials: { ...s.essentials, ferryClass: p.ferryClass },
+      scooterIslands: new Set(p.scooterIslands),
+    }));
+    setBudgetFit(null);
+  };
 
   /* -------- Location Modal -------- */
   const [openLoc, setOpenLoc] = useState(null);
+  const [showMap, setShowMap] = useState(false);
   const openModalFor = (loc) => setOpenLoc(loc);
   const closeModal = () => setOpenLoc(null);
 
-  if (dataStatus === "loading") {
-    return <div style={{ padding: 24, fontFamily: "system-ui, Arial" }}>Loading Andaman data…</div>;
-  }
+  if (dataStatus === "loading") return <LoadingScreen label="Loading Andaman data…" files={data.files} />;
+  if (dataStatus === "error") throw data.error; // ErrorBoundary lists the files that failed
 
   /* -----------------------------
      UI
   ------------------------------ */
   return (
-    <div style={{ fontFamily: "system-ui, Arial", background: "#f6f7f8", minHeight: "100vh", color: "#0f172a" }}>
+    <div className="app-root" style={{ fontFamily: "system-ui, Arial", background: "#f6f7f8", minHeight: "100vh", color: "#0f172a" }}>
       {/* Header */}
       <header style={{ position: "sticky", top: 0, zIndex: 10, background: "white", borderBottom: "1px solid #e5e7eb" }}>
         <div style={{ maxWidth: 1200, margin: "0 auto", padding: "12px 16px", display: "flex", justifyContent: "space-between", alignItems: "center" }}>
@@ -537,6 +885,10 @@ export default function App() {
             <b>Create Your Andaman Tour</b>
           </div>
           <span style={{ fontSize: 12, display: "inline-flex", gap: 6, alignItems: "center" }}>
+            <button onClick={copyShareLink} style={miniBtn} title="Copy a link to this trip">Share</button>
+            <DraftsPanel drafts={drafts} />
+            <button onClick={history.undo} disabled={!history.canUndo} style={miniBtn} title="Undo (Ctrl+Z)" aria-label="Undo">↶</button>
+            <button onClick={history.redo} disabled={!history.canRedo} style={miniBtn} title="Redo (Ctrl+Shift+Z)" aria-label="Redo">↷</button>
             <span style={{ color: "#64748b" }}>Step</span>
             <span style={{ fontWeight: 800, background: "white", border: "1px solid #e5e7eb", padding: "2px 8px", borderRadius: 999 }}>
               {step + 1} / 6
@@ -549,6 +901,67 @@ export default function App() {
       {/* Body */}
       <main className="app-main">
         <section>
+          {dataStatus === "degraded" && (
+            <div role="status" style={{ fontSize: 13, background: "#fffbeb", border: "1px solid #fde68a", color: "#92400e", borderRadius: 12, padding: "8px 12px", marginBottom: 12 }}>
+              <b>Some trip data couldn't be loaded — you can keep planning.</b>
+              <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+                {Object.entries(data.files)
+                  .filter(([, f]) => f.status !== "ok")
+                  .map(([name, f]) => (
+                    <li key={name}>
+                      {f.status === "failed"
+                        ? `${name}.json: ${f.error}. ${DATA_FILES[name].without || ""}`
+                        : `${name}.json: skipped ${f.issues.length} invalid entr${f.issues.length === 1 ? "y" : "ies"} (${f.issues.slice(0, 3).join("; ")}${f.issues.length > 3 ? "; …" : ""})`}
+                    </li>
+                  ))}
+              </ul>
+            </div>
+          )}
+          {shareUrl && (
+            <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13, background: "white", border: "1px solid #e5e7eb", borderRadius: 12, padding: "8px 12px", marginBottom: 12 }}>
+              <span style={{ flexShrink: 0 }}>Link copied:</span>
+              <input readOnly value={shareUrl} onFocus={(e) => e.target.select()} style={{ flex: 1, minWidth: 0 }} aria-label="Share link" />
+              <button onClick={() => setShareUrl(null)} style={miniBtn} aria-label="Dismiss">×</button>
+            </div>
+          )}
+          {sharedTrip && (
+            <div role="alert" style={{ fontSize: 13, background: sharedTrip.error ? "#fef2f2" : "#ecfeff", border: `1px solid ${sharedTrip.error ? "#fecaca" : "#a5f3fc"}`, borderRadius: 12, padding: "8px 12px", marginBottom: 12 }}>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <span>
+                  {sharedTrip.error ||
+                    (sharedTrip.pending
+                      ? `This link has a shared trip (${sharedTrip.state.selectedIds.length} stops). Open it as a new draft? Your current trip stays under Drafts.`
+                      : "Opened the shared trip as a new draft.")}
+                </span>
+                {sharedTrip.pending && (
+                  <button
+                    onClick={() => {
+                      drafts.startNew(sharedTrip.state, "Shared trip");
+                      setSharedTrip({ ...sharedTrip, pending: false });
+                    }}
+                    style={pillBtn}
+                  >
+                    Open shared trip
+                  </button>
+                )}
+                <button onClick={() => setSharedTrip(null)} style={miniBtn}>{sharedTrip.pending ? "Ignore" : "×"}</button>
+              </div>
+              {sharedTrip.stale?.length > 0 && (
+                <div style={{ marginTop: 4, color: "#92400e" }}>
+                  Not in our current catalogue, so left out: {sharedTrip.stale.map((x) => `${x.kind} ${x.id}`).join(", ")}
+                </div>
+              )}
+            </div>
+          )}
+          {drafts.resume && !sharedTrip?.pending && (
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 13, background: "#ecfeff", border: "1px solid #a5f3fc", borderRadius: 12, padding: "8px 12px", marginBottom: 12 }}>
+              <span>
+                Resume your last trip <b>{drafts.resume.name}</b> ({drafts.resume.state.selectedIds.length} stops)?
+              </span>
+              <button onClick={() => drafts.open(drafts.resume.id)} style={pillBtn}>Resume</button>
+              <button onClick={drafts.dismissResume} style={miniBtn}>Start fresh</button>
+            </div>
+          )}
           {/* STEP 0: Basics */}
           {step === 0 && (
             <Card title="Trip Basics">
@@ -562,9 +975,78 @@ export default function App() {
                 <Field label="Adults">
                   <input type="number" min={1} value={adults} onChange={(e) => setAdults(Number(e.target.value) || 0)} />
                 </Field>
-                <Field label="Infants">
+                <Field label={`Children (2–${pricing.travellers.childMaxAge})`}>
+                  <input
+                    type="number"
+                    min={0}
+                    value={childAges.length}
+                    onChange={(e) => {
+                      const n = Math.max(0, Math.floor(Number(e.target.value)) || 0);
+                      setChildAges((prev) => Array.from({ length: n }, (_, k) => prev[k] ?? 8));
+                    }}
+                  />
+                </Field>
+                <Field label="Infants (under 2)">
                   <input type="number" min={0} value={infants} onChange={(e) => setInfants(Number(e.target.value) || 0)} />
                 </Field>
+                <Field label={targetNights ? `Trip length — ${targetNights} nights, ${targetNights + 1} days` : "Trip length in nights (optional)"}>
+                  <input
+                    type="number"
+                    min={1}
+                    placeholder="e.g. 5"
+                    value={targetNights}
+                    onChange={(e) => setTargetNights(Math.max(0, Math.floor(Number(e.target.value))) || "")}
+                  />
+                </Field>
+                <Field label="Budget, all-in in ₹ (optional)">
+                  <input
+                    type="number"
+                    min={0}
+                    step={1000}
+                    placeholder="e.g. 80000"
+                    value={budget}
+                    onChange={(e) => setBudget(Math.max(0, Math.floor(Number(e.target.value))) || "")}
+                  />
+                </Field>
+              </Row>
+              {budget !== "" && days.length > 0 && (
+                <div style={{ maxWidth: 360, marginBottom: 10 }}>
+                  <BudgetStatus budget={budget} total={grandTotal} peak={grandRange.max} onFit={proposeBudgetFit} />
+                </div>
+              )}
+              {childAges.length > 0 && (
+                <Row>
+                  {childAges.map((age, k) => (
+                    <Field key={k} label={`Child ${k + 1} age`}>
+                      <select value={age} onChange={(e) => setChildAges(childAges.map((a, j) => (j === k ? Number(e.target.value) : a)))}>
+                        {Array.from({ length: pricing.travellers.childMaxAge - 1 }, (_, n) => n + 2).map((n) => (
+                          <option key={n} value={n}>{n}</option>
+                        ))}
+                      </select>
+                    </Field>
+                  ))}
+                </Row>
+              )}
+              <div style={{ fontSize: 12, color: "#64748b", marginBottom: 10 }}>
+                Travellers aged {pricing.travellers.childMaxAge + 1}+ are charged as adults — count them under Adults.
+              </div>
+              <Row>
+                <Field label="Swimming — weakest in the group">
+                  <select value={abilities.swimming} onChange={(e) => setAbilities({ ...abilities, swimming: e.target.value })}>
+                    <option value="">Not sure</option>
+                    {SWIM_LEVELS.map((l) => (
+                      <option key={l.id} value={l.id}>{l.label}</option>
+                    ))}
+                  </select>
+                </Field>
+                <Field label="Fitness — least fit in the group">
+                  <select value={abilities.fitness} onChange={(e) => setAbilities({ ...abilities, fitness: e.target.value })}>
+                    <option value="">Not sure</option>
+                    {FITNESS_LEVELS.map((l) => (
+                      <option key={l.id} value={l.id}>{l.label}</option>
+                    ))}
+                  </select>
+                </Field>
               </Row>
               <Row>
                 <label><input type="checkbox" checked={startPB} onChange={() => setStartPB(!startPB)} /> Start from Port Blair if present</label>
@@ -593,6 +1075,9 @@ export default function App() {
                     ))}
                   </select>
                 </Field>
+                <label style={{ fontSize: 12, color: startDate ? "#475569" : "#94a3b8", alignSelf: "end" }} title={startDate ? "" : "Set a start date in Trip Basics first"}>
+                  <input type="checkbox" checked={inSeasonOnly} disabled={!startDate} onChange={() => setInSeasonOnly(!inSeasonOnly)} /> Best in season only
+                </label>
                 <div style={{ fontSize: 12, color: "#475569", alignSelf: "end" }}>
                   {selectedLocs.length} selected
                 </div>
@@ -614,6 +1099,9 @@ export default function App() {
                       <b style={{ fontSize: 14 }}>{nameOf(l)}</b>
                       <div style={{ fontSize: 12, color: "#64748b", marginTop: 4 }}>
                         {l.island} • {durOf(l)}h
+                        {startDate && !inSeason(l) && (
+                          <span style={{ marginLeft: 6, color: "#b45309" }}>• Off-season (best {l.bestTime})</span>
+                        )}
                       </div>
                       <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 }}>
                         {(l.moods || []).slice(0, 4).map((m) => (
@@ -670,7 +1158,7 @@ export default function App() {
           {step === 2 && (
             <Card title="Adventures (Optional)">
               <div style={{ fontSize: 12, color: "#475569", marginBottom: 10 }}>
-                Suggested adventures appear first from your selected locations (if any). Then explore all adventures island-wise.
+                Suggested adventures come first: ones linked to your selected locations, then others on the same islands, then ones that match the mood of your picks. Then explore all adventures island-wise.
               </div>
 
               <div style={{ marginBottom: 12 }}>
@@ -681,13 +1169,19 @@ export default function App() {
                   </div>
                 )}
                 <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(240px,1fr))", gap: 12, marginTop: 8 }}>
-                  {suggestedActivities.map((a) => {
+                  {suggestedActivities.map(({ activity: a, reasons, related }) => {
                     const on = addonIds.includes(a.id);
                     return (
                       <div key={a.id} style={{ border: "1px solid #e5e7eb", background: "white", borderRadius: 12, padding: 12 }}>
                         <div style={{ height: 90, background: "#e2e8f0", borderRadius: 8, marginBottom: 8 }} />
                         <div style={{ fontSize: 13, fontWeight: 600 }}>{a.name}</div>
-                        <div style={{ fontSize: 12, color: "#475569" }}>{formatINR(a.basePriceINR ?? a.price ?? 0)}</div>
+                        <div style={{ fontSize: 12, color: "#475569" }}>{formatINR(activityPrice(a, mix, pricing.activities.paxFactors))}{groupNote(a)}</div>
+                        {reasons.map((r) => (
+                          <div key={r} style={{ fontSize: 11, color: "#0369a1", marginTop: 4 }}>{r}</div>
+                        ))}
+                        <RelatedLocations locs={related} />
+                        <ActivityRequirements activity={a} warnings={activityWarnings} />
+                        {on && isUnplaced(a.id) && <OffTripNote activity={a} />}
                         <button
                           onClick={() => setAddonIds((prev) => (on ? prev.filter((x) => x !== a.id) : [...prev, a.id]))}
                           style={{
@@ -720,7 +1214,10 @@ export default function App() {
                           <div key={a.id} style={{ border: "1px solid #e5e7eb", background: "white", borderRadius: 12, padding: 12 }}>
                             <div style={{ height: 90, background: "#e2e8f0", borderRadius: 8, marginBottom: 8 }} />
                             <div style={{ fontSize: 13, fontWeight: 600 }}>{a.name}</div>
-                            <div style={{ fontSize: 12, color: "#475569" }}>{formatINR(a.basePriceINR ?? a.price ?? 0)}</div>
+                            <div style={{ fontSize: 12, color: "#475569" }}>{formatINR(activityPrice(a, mix, pricing.activities.paxFactors))}{groupNote(a)}</div>
+                            <RelatedLocations locs={suggestionFor[a.id]?.related || []} />
+                            <ActivityRequirements activity={a} warnings={activityWarnings} />
+                            {on && isUnplaced(a.id) && <OffTripNote activity={a} />}
                             <button
                               onClick={() => setAddonIds((prev) => (on ? prev.filter((x) => x !== a.id) : [...prev, a.id]))}
                               style={{
@@ -748,15 +1245,63 @@ export default function App() {
           {step === 3 && (
             <Card title="Itinerary (Editable)">
               {!days.length && <p style={{ fontSize: 14 }}>Select a few locations first.</p>}
+              <div style={{ marginBottom: 10, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <button onClick={() => setShowMap(!showMap)} style={pillBtn}>{showMap ? "Hide map" : "Show map"}</button>
+                <button
+                  onClick={exportCalendar}
+                  disabled={!startDate || !days.length}
+                  style={{ ...pillBtn, opacity: startDate && days.length ? 1 : 0.5 }}
+                >
+                  Add to calendar (.ics)
+                </button>
+                {!startDate && (
+                  <span style={{ fontSize: 12, color: "#64748b" }}>
+                    Set a start date in Trip Basics to export the trip to your calendar.
+                  </span>
+                )}
+              </div>
+              {showMap && (
+                <ItineraryMap
+                  days={days}
+                  locationsById={locationsById}
+                  hotelNameFor={(i) => pickOn(i)?.hotel.name}
+                  onOpenLocation={openModalFor}
+                />
+              )}
+              <div style={{ fontSize: 12, color: "#475569", marginBottom: 8 }}>
+                Drag stops and adventures between days or drag a day by its ⠿ handle. Keyboard: focus a stop and use Alt + ↑/↓ (within the day) or Alt + ←/→ (previous/next day).
+              </div>
+              {unplacedAddons.length > 0 && (
+                <div style={{ fontSize: 12, color: "#92400e", background: "#fffbeb", border: "1px solid #fde68a", borderRadius: 8, padding: "6px 10px", marginBottom: 10 }}>
+                  ⚠︎ Not on any day of this trip:{" "}
+                  {unplacedAddons.map((a) => `${a.name} (${(a.islands || []).join(" / ")})`).join(", ")}. Add a stop on that island or remove the adventure.
+                </div>
+              )}
+              {editNotice && (
+                <div role="alert" style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 12, color: "#92400e", background: "#fffbeb", border: "1px solid #fde68a", borderRadius: 8, padding: "6px 10px", marginBottom: 10 }}>
+                  <span>{editNotice.message}</span>
+                  {editNotice.fix && <button onClick={editNotice.fix} style={pillBtn}>Add ferry leg &amp; move</button>}
+                  <button onClick={() => setEditNotice(null)} style={miniBtn} aria-label="Dismiss">×</button>
+                </div>
+              )}
               <div style={{ display: "grid", gap: 12 }}>
                 {days.map((day, i) => {
                   const calendarDate = startDate ? addDays(startDate, i) : null;
                   const dayLabel = calendarDate ? `${calendarDate}` : `No date set`;
+                  const fixedDay = day.items.some((it) => it.type === "arrival" || it.type === "departure");
                   return (
-                    <div key={i} style={{ border: "1px solid #e5e7eb", background: "white", borderRadius: 12, padding: 12 }}>
+                    <div
+                      key={i}
+                      {...dnd.dayProps(i)}
+                      style={{ border: dnd.over === `d${i}` ? "1px solid #0ea5e9" : "1px solid #e5e7eb", background: "white", borderRadius: 12, padding: 12 }}
+                    >
                       <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
                         <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                          <b>Day {i + 1} — {day.island}</b>
+                          {!fixedDay && (
+                            <span {...dnd.dayHandleProps(i)} title="Drag to reorder day" style={{ cursor: "grab", color: "#94a3b8" }}>⠿</span>
+                          )}
+                          <span aria-hidden style={{ width: 10, height: 10, borderRadius: 999, background: dayColor(i) }} />
+                          <b>Day {i + 1} — {day.island}{overnightIsland(day) && overnightIsland(day) !== day.island ? ` → ${overnightIsland(day)}` : ""}</b>
                           {day.items.some((it) => it.type === "ferry") && (
                             <span style={{ fontSize: 11, padding: "2px 6px", borderRadius: 999, background: "#ecfeff", color: "#0369a1", border: "1px solid #bae6fd" }}>Ferry</span>
                           )}
@@ -767,26 +1312,72 @@ export default function App() {
                             <span style={{ fontSize: 11, padding: "2px 6px", borderRadius: 999, background: "#fef2f2", color: "#991b1b", border: "1px solid #fecaca" }}>Departure</span>
                           )}
                         </div>
-                        <span style={{ fontSize: 12, color: "#334155" }}>{dayLabel}</span>
+                        <span style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+                          <span style={{ fontSize: 12, color: "#334155" }}>{dayLabel}</span>
+                          {!fixedDay && (
+                            <>
+                              <button onClick={() => moveDayTo(i, i - 1)} style={miniBtn} aria-label={`Move day ${i + 1} earlier`}>▲</button>
+                              <button onClick={() => moveDayTo(i, i + 1)} style={miniBtn} aria-label={`Move day ${i + 1} later`}>▼</button>
+                            </>
+                          )}
+                        </span>
                       </div>
-                      <ul style={{ marginTop: 8, paddingLeft: 18, fontSize: 14 }}>
-                        {day.items.map((it, k) => (
-                          <li key={k} style={{ display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center" }}>
-                            <span>
-                              {it.type === "ferry" ? it.name :
-                               it.type === "arrival" ? it.name :
-                               it.type === "transfer" ? it.name :
-                               it.type === "departure" ? it.name :
-                               `${it.name} (${it.durationHrs}h)`}
-                            </span>
+                      <DayTimeline
+                        day={day}
+                        schedule={daySchedules[i]}
+                        labelFor={itemLabel}
+                        itemProps={(k) => ({ ...dnd.itemProps(i, k), tabIndex: 0, onKeyDown: itemKeys(i, k) })}
+                        highlight={(k) => dnd.over === `d${i}:${k}`}
+                        renderActions={(k) =>
+                          ["arrival", "transfer", "departure"].includes(day.items[k].type) ? null : (
                             <span style={{ display: "inline-flex", gap: 6 }}>
+                              <button onClick={() => moveItemWithinDay(i, k, -1)} style={miniBtn} title="Move up">▲</button>
+                              <button onClick={() => moveItemWithinDay(i, k, +1)} style={miniBtn} title="Move down">▼</button>
                               <button onClick={() => moveItem(i, k, -1)} style={miniBtn} title="Move to previous day">◀︎</button>
                               <button onClick={() => moveItem(i, k, +1)} style={miniBtn} title="Move to next day">▶︎</button>
                             </span>
-                          </li>
+                          )
+                        }
+                      />
+                      {seasonWarnings
+                        .filter((w) => w.dayIndex === i)
+                        .map((w, k) => (
+                          <div key={k} style={{ fontSize: 12, color: "#92400e", background: "#fffbeb", border: "1px solid #fde68a", borderRadius: 8, padding: "4px 8px", marginTop: 6 }}>
+                            ⚠︎ {w.message}
+                          </div>
                         ))}
-                      </ul>
-                      {!day.items.some((it) => it.type === "ferry") && !day.items.some((i) => i.type === "departure") && (
+                      {activityWarnings
+                        .filter((w) => w.dayIndex === i)
+                        .map((w, k) => (
+                          <div key={k} style={{ fontSize: 12, color: "#991b1b", background: "#fef2f2", border: "1px solid #fecaca", borderRadius: 8, padding: "4px 8px", marginTop: 6 }}>
+                            ⚠︎ {w.message}
+                          </div>
+                        ))}
+                      {ferryQuote.issues
+                        .filter((x) => x.dayIdx === i)
+                        .map((x, k) => (
+                          <div key={k} style={{ fontSize: 12, color: "#991b1b", background: "#fef2f2", border: "1px solid #fecaca", borderRadius: 8, padding: "4px 8px", marginTop: 6 }}>
+                            ⛔︎ {x.message}
+                          </div>
+                        ))}
+                      {day.items
+                        .filter((it) => it.type === "ferry" && !offersClass(it, essentials.ferryClass))
+                        .map((it, k) => (
+                          <div key={k} style={{ fontSize: 12, color: "#92400e", background: "#fffbeb", border: "1px solid #fde68a", borderRadius: 8, padding: "4px 8px", marginTop: 6 }}>
+                            ⛴ The {it.time ? `${it.time} ` : ""}{it.operator || "sailing"} to {it.to} sells {it.classes.join(" / ")} only — no {essentials.ferryClass} on this leg.
+                          </div>
+                        ))}
+                      {dayHours(day) > DAY_BUDGET_HRS && (
+                        <div style={{ fontSize: 12, color: "#92400e", background: "#fffbeb", border: "1px solid #fde68a", borderRadius: 8, padding: "4px 8px", marginTop: 6 }}>
+                          ⏱ {dayHours(day)}h of stops and adventures — more than the {DAY_BUDGET_HRS}h a day comfortably holds. Move something to another day.
+                        </div>
+                      )}
+                      {hotelMoves[i] && (
+                        <div style={{ fontSize: 12, color: "#92400e", background: "#fffbeb", border: "1px solid #fde68a", borderRadius: 8, padding: "4px 8px", marginTop: 6 }}>
+                          🧳 Mid-trip hotel move on {overnightIsland(day)}: check out of {hotelMoves[i].from.name} and into {hotelMoves[i].to.name} today.
+                        </div>
+                      )}
+                      {(!day.items.some((it) => it.type === "ferry") || day.items.some((it) => it.type === "location" || it.type === "activity")) && !day.items.some((i) => i.type === "departure") && (
                         <div style={{ display: "flex", gap: 8, marginTop: 8, alignItems: "center", flexWrap: "wrap" }}>
                           <label style={{ fontSize: 12, color: "#475569" }}>Transport:</label>
                           <select value={day.transport} onChange={(e) => setTransportForDay(i, e.target.value)}>
@@ -821,59 +1412,187 @@ export default function App() {
                     ))}
                   </select>
                 </Field>
+                <Field label="Sort by">
+                  <select value={hotelSort} onChange={(e) => setHotelSort(e.target.value)}>
+                    {HOTEL_SORTS.map((o) => (
+                      <option key={o.id} value={o.id}>{o.label}</option>
+                    ))}
+                  </select>
+                </Field>
               </Row>
-
-              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(220px,1fr))", gap: 10, marginTop: 4 }}>
-                {(MOCK_HOTELS[hotelIsland] || []).map((h) => {
-                  const picked = chosenHotels[hotelIsland] === h.id;
+              <Row>
+                <Field label="Tier">
+                  <select value={hotelFilter.tier} onChange={(e) => setHotelFilter({ ...hotelFilter, tier: e.target.value })}>
+                    <option value="">Any</option>
+                    {[...new Set(hotels.map((h) => h.tier))].map((t) => (
+                      <option key={t}>{t}</option>
+                    ))}
+                  </select>
+                </Field>
+                <Field label="Meal plan">
+                  <select value={hotelFilter.mealPlan} onChange={(e) => setHotelFilter({ ...hotelFilter, mealPlan: e.target.value })}>
+                    <option value="">Any</option>
+                    {MEAL_PLANS.map((m) => (
+                      <option key={m.id} value={m.id}>{m.label}</option>
+                    ))}
+                  </select>
+                </Field>
+                <Field label="Beach within">
+                  <select value={hotelFilter.maxBeachM} onChange={(e) => setHotelFilter({ ...hotelFilter, maxBeachM: Number(e.target.value) })}>
+                    <option value={0}>Any distance</option>
+                    <option value={200}>200 m</option>
+                    <option value={500}>500 m</option>
+                    <option value={1000}>1 km</option>
+                    <option value={3000}>3 km</option>
+                  </select>
+                </Field>
+              </Row>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 10, fontSize: 12, color: "#475569", marginBottom: 10 }}>
+                {Object.entries(AMENITIES).map(([id, label]) => {
+                  const on = hotelFilter.amenities.includes(id);
                   return (
-                    <div key={h.id} style={{ border: "1px solid #e5e7eb", background: "white", borderRadius: 12, padding: 12 }}>
-                      <div style={{ height: 80, background: "#e2e8f0", borderRadius: 8, marginBottom: 8 }} />
-                      <div style={{ fontSize: 13, fontWeight: 600 }}>{h.name}</div>
-                      <div style={{ fontSize: 12, color: "#475569" }}>{h.tier} • From {formatINR(h.sell_price)}/night</div>
-                      <button
-                        onClick={() => chooseHotel(hotelIsland, h.id)}
-                        style={{
-                          marginTop: 8, width: "100%", padding: "8px 10px",
-                          borderRadius: 8, border: "1px solid #16a34a",
-                          background: picked ? "#16a34a" : "white",
-                          color: picked ? "white" : "#16a34a", fontWeight: 600
-                        }}
-                      >
-                        {picked ? "Selected" : "Select"}
-                      </button>
-                    </div>
+                    <label key={id}>
+                      <input
+                        type="checkbox"
+                        checked={on}
+                        onChange={() =>
+                          setHotelFilter({
+                            ...hotelFilter,
+                            amenities: on ? hotelFilter.amenities.filter((a) => a !== id) : [...hotelFilter.amenities, id],
+                          })
+                        }
+                      />{" "}
+                      {label}
+                    </label>
                   );
                 })}
               </div>
 
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(220px,1fr))", gap: 10, marginTop: 4 }}>
+                {listHotels(hotelIsland).map((h) => (
+                  <HotelCard
+                    key={h.id}
+                    hotel={h}
+                    fromPrice={fromPrice(h, startDate)}
+                    picked={pickedHotelIds(hotelIsland).has(h.id)}
+                    onSelect={() => chooseHotel(hotelIsland, h.id)}
+                  />
+                ))}
+              </div>
+              {!listHotels(hotelIsland).length && (
+                <div style={{ fontSize: 12, color: "#64748b", marginTop: 6 }}>
+                  {(HOTELS[hotelIsland] || []).length ? "No hotels match these filters." : "No hotels listed for this island yet."}
+                </div>
+              )}
+
+              {/* per-night prices on their calendar dates */}
+              {hotelQuote.stays.some((st) => st.segments.length) && (
+                <div style={{ marginTop: 16, border: "1px solid #e5e7eb", borderRadius: 12, background: "white", padding: 12 }}>
+                  <b>Nightly breakdown</b>
+                  <div style={{ fontSize: 12, color: "#64748b", marginTop: 4 }}>For {describeTravellers(mix)}.</div>
+                  {!startDate && (
+                    <div style={{ fontSize: 12, color: "#64748b", marginTop: 4 }}>
+                      No start date yet — base rates shown; depending on dates your stay costs {formatINRRange(hotelsRange)}.
+                    </div>
+                  )}
+                  {hotelQuote.stays
+                    .filter((st) => st.segments.length)
+                    .map((st) => (
+                      <div key={`${st.island}-${st.dayIdx[0]}`} style={{ marginTop: 10, fontSize: 13 }}>
+                        {st.segments.map((seg) => (
+                          <div key={seg.nights[0].dayIdx} style={{ marginBottom: 8 }}>
+                            <div style={{ fontWeight: 600 }}>{seg.hotel.name} · {st.island}</div>
+                            <div style={{ fontSize: 12, color: "#64748b" }}>
+                              {stayWhen(seg.nights)}
+                              {hotelMoves[seg.nights[0].dayIdx] ? " · 🧳 hotel change" : ""}
+                            </div>
+                            <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", margin: "4px 0", fontSize: 12 }}>
+                              <select
+                                aria-label="Room type"
+                                value={seg.room.id}
+                                onChange={(e) => updatePicks(seg.nights.map((n) => n.dayIdx), { roomId: e.target.value })}
+                              >
+                                {seg.hotel.rooms.map((rm) => (
+                                  <option key={rm.id} value={rm.id}>{rm.name} (sleeps {rm.maxOccupancy || 3})</option>
+                                ))}
+                              </select>
+                              <select
+                                aria-label="Meal plan"
+                                value={seg.mealPlan}
+                                onChange={(e) => updatePicks(seg.nights.map((n) => n.dayIdx), { mealPlan: e.target.value })}
+                              >
+                                {offeredMealPlans(seg.room).map((m) => (
+                                  <option key={m.id} value={m.id}>
+                                    {m.label}{seg.room.mealPlans[m.id] ? ` +${formatINR(seg.room.mealPlans[m.id])}` : ""}
+                                  </option>
+                                ))}
+                              </select>
+                              <span style={{ color: "#64748b" }}>{describeRooms(seg.rooms)}</span>
+                            </div>
+                            {seg.nights.map((n) => (
+                              <div key={n.dayIdx} style={{ display: "flex", justifyContent: "space-between", gap: 8, color: "#334155" }}>
+                                <span>
+                                  Night {n.dayIdx + 1}{n.date ? ` · ${n.date}` : ""}
+                                  {n.applied.map((r) => (
+                                    <span key={r.id} style={{ marginLeft: 6, fontSize: 11, color: "#9a3412", background: "#fff7ed", border: "1px solid #fed7aa", borderRadius: 999, padding: "1px 6px" }}>
+                                      {r.label} +{r.percent}%
+                                    </span>
+                                  ))}
+                                </span>
+                                <span>{formatRate(n.amount)}</span>
+                              </div>
+                            ))}
+                            <div style={{ display: "flex", justifyContent: "space-between", borderTop: "1px dashed #e5e7eb", marginTop: 4, paddingTop: 4, fontWeight: 600 }}>
+                              <span>Subtotal</span>
+                              <span>{withOnRequest(formatINR(seg.subtotal), seg.subtotal, seg.nights.some((n) => n.amount == null))}</span>
+                            </div>
+                          </div>
+                        ))}
+                        {st.issues.map((x) => (
+                          <div key={x.id} style={{ fontSize: 12, color: "#991b1b", background: "#fef2f2", border: "1px solid #fecaca", borderRadius: 8, padding: "4px 8px", marginTop: 4 }}>
+                            ⛔︎ {x.message}
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                </div>
+              )}
+
               {/* nights summary (not removed) */}
               <div style={{ marginTop: 16 }}>
                 {Object.entries(nightsByIsland).map(([isl, nights]) => (
                   <div key={isl} style={{ marginTop: 12 }}>
                     <b>{isl} — {nights} night(s)</b>
+                    <div style={{ fontSize: 12, color: "#64748b", marginTop: 2 }}>
+                      Select books every night here; to split the stay, choose a hotel per night.
+                    </div>
+                    <div style={{ display: "grid", gap: 4, marginTop: 6, fontSize: 12 }}>
+                      {hotelStays
+                        .filter((st) => st.island === isl)
+                        .flatMap((st) => st.dayIdx)
+                        .map((i) => (
+                          <label key={i} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                            <span style={{ minWidth: 140 }}>Night {i + 1}{startDate ? ` · ${addDays(startDate, i)}` : ""}</span>
+                            <select value={pickOn(i)?.hotel.id || ""} onChange={(e) => setNightHotel(i, e.target.value)}>
+                              <option value="">— choose a hotel —</option>
+                              {(HOTELS[isl] || []).map((h) => (
+                                <option key={h.id} value={h.id}>{h.name}</option>
+                              ))}
+                            </select>
+                            {hotelMoves[i] && <span style={{ color: "#92400e" }}>🧳 moves hotel</span>}
+                          </label>
+                        ))}
+                    </div>
                     <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(220px,1fr))", gap: 10, marginTop: 8 }}>
-                      {(MOCK_HOTELS[isl] || []).map((h) => {
-                        const picked = chosenHotels[isl] === h.id;
-                        return (
-                          <div key={h.id} style={{ border: "1px solid #e5e7eb", background: "white", borderRadius: 12, padding: 12 }}>
-                            <div style={{ height: 80, background: "#e2e8f0", borderRadius: 8, marginBottom: 8 }} />
-                            <div style={{ fontSize: 13, fontWeight: 600 }}>{h.name}</div>
-                            <div style={{ fontSize: 12, color: "#475569" }}>{h.tier} • From {formatINR(h.sell_price)}/night</div>
-                            <button
-                              onClick={() => chooseHotel(isl, h.id)}
-                              style={{
-                                marginTop: 8, width: "100%", padding: "8px 10px",
-                                borderRadius: 8, border: "1px solid #16a34a",
-                                background: picked ? "#16a34a" : "white",
-                                color: picked ? "white" : "#16a34a", fontWeight: 600
-                              }}
-                            >
-                              {picked ? "Selected" : "Select"}
-                            </button>
-                          </div>
-                        );
-                      })}
+                      {listHotels(isl).map((h) => (
+                        <HotelCard
+                          key={h.id}
+                          hotel={h}
+                          fromPrice={fromPrice(h, startDate)}
+                          picked={pickedHotelIds(isl).has(h.id)}
+                          onSelect={() => chooseHotel(isl, h.id)}
+                        />
+                      ))}
                     </div>
                   </div>
                 ))}
@@ -892,9 +1611,9 @@ export default function App() {
                 <Row>
                   <Field label="Class">
                     <select value={essentials.ferryClass} onChange={(e) => setEssentials({ ...essentials, ferryClass: e.target.value })}>
-                      <option>Economy</option>
-                      <option>Deluxe</option>
-                      <option>Luxury</option>
+                      {Object.keys(pricing.ferries.classMultipliers).map((c) => (
+                        <option key={c}>{c}</option>
+                      ))}
                     </select>
                   </Field>
                   <Field label="Seat map">
@@ -910,10 +1629,10 @@ export default function App() {
                 <b>Cab (Day Cab days)</b>
                 <Row>
                   <Field label="Cab model">
-                    <select value={essentials.cabModelId} onChange={(e) => setEssentials({ ...essentials, cabModelId: e.target.value })}>
-                      {CAB_MODELS.map((c) => (
+                    <select value={cabModelId || ""} onChange={(e) => setEssentials({ ...essentials, cabModelId: e.target.value })}>
+                      {cabModels(pricing).map((c) => (
                         <option key={c.id} value={c.id}>
-                          {c.label} — {formatINR(c.dayRate)}/day
+                          {c.label} — {cabDayRate(pricing, c.id, null, startDate) == null ? "price on request" : `from ${formatINR(cabDayRate(pricing, c.id, null, startDate))}/day`}
                         </option>
                       ))}
                     </select>
@@ -938,13 +1657,18 @@ export default function App() {
                           onChange={() => toggleScooter(isl)}
                           style={{ marginRight: 6 }}
                         />
-                        {isl} — {formatINR(SCOOTER_DAY_RATE)}/day
+                        {isl} — {scooterDayRate(pricing, isl, startDate) == null ? "price on request" : `${formatINR(scooterDayRate(pricing, isl, startDate))}/day`}
                       </label>
                     ))}
                 </div>
               </div>
 
-              <FooterNav onPrev={() => setStep(4)} onNext={() => alert("This would submit a lead for the full itinerary.")} nextLabel="Request to Book" />
+              <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 12, fontSize: 12, color: "#475569" }}>
+                <button onClick={() => window.print()} style={pillBtn}>Print / Save as PDF</button>
+                <span>Day-by-day plan, hotels and costs on a clean page for sharing.</span>
+              </div>
+
+              <FooterNav onPrev={() => setStep(4)} onNext={openLead} nextLabel="Request to Book" />
             </Card>
           )}
         </section>
@@ -959,7 +1683,7 @@ export default function App() {
                   TRIP SUMMARY
                 </span>
                 <span style={{ background: "white", color: "#0f172a", padding: "6px 10px", borderRadius: 10, fontWeight: 900, boxShadow: "0 2px 8px rgba(0,0,0,.12)" }}>
-                  {formatINR(grandTotal)}
+                  {formatINRRange(grandRange)}
                 </span>
               </div>
 
@@ -967,23 +1691,49 @@ export default function App() {
               <div style={{ padding: 16 }}>
                 <div style={{ fontSize: 14, color: "#334155", display: "grid", gap: 4 }}>
                   <div>Start date: <b>{startDate || "Not set"}</b></div>
-                  <div>Days planned: <b>{days.length}</b></div>
-                  <div>Travellers: <b>{adults} adult(s){infants ? `, ${infants} infant(s)` : ""}</b></div>
+                  <div>Days planned: <b>{days.length}</b>{targetNights ? ` (fitted to ${targetNights} nights)` : ""}</div>
+                  <div>Travellers: <b>{describeTravellers(mix)}</b></div>
                 </div>
 
+                {plan.leftOut.length > 0 && (
+                  <div style={{ marginTop: 12, border: "1px solid #fde68a", background: "#fffbeb", borderRadius: 10, padding: 10, fontSize: 12, color: "#92400e" }}>
+                    <b>{plan.leftOut.length} selected stop(s) left out</b>
+                    <ul style={{ margin: "6px 0 0", paddingLeft: 16 }}>
+                      {plan.leftOut.map((x) => (
+                        <li key={x.id}>{x.name} — {x.reason}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 <div style={{ marginTop: 12, borderTop: "1px dashed #e5e7eb", paddingTop: 12, display: "grid", gap: 8, fontSize: 14 }}>
-                  <RowSplit label="Hotels" value={formatINR(hotelsTotal)} />
-                  <RowSplit label="Ferries" value={formatINR(ferryTotal)} />
-                  <RowSplit label="Ground transport" value={formatINR(logisticsTotal)} />
-                  <RowSplit label="Adventures" value={formatINR(addonsTotal)} />
+                  {costLines.map((l) => (
+                    <RowSplit key={l.label} label={l.label} value={l.text ?? formatINR(l.amount)} />
+                  ))}
                   <div style={{ borderTop: "2px solid #0ea5e9", paddingTop: 10, fontSize: 16, display: "flex", justifyContent: "space-between" }}>
                     <span>Total (indicative)</span>
-                    <b>{formatINR(grandTotal)}</b>
+                    <b>{formatINRRange(grandRange)}</b>
                   </div>
+                  {onRequest > 0 && (
+                    <div style={{ fontSize: 12, color: "#92400e" }}>
+                      {onRequest} night(s), ferry leg(s) or transport day(s) have no published rate for the date or are blacked out — priced on request and not in the total.
+                    </div>
+                  )}
+                  {grandRange.min !== grandRange.max && (
+                    <div style={{ fontSize: 12, color: "#64748b" }}>Range depends on dates — set a start date for the exact price.</div>
+                  )}
+                  {budget !== "" && (
+                    <BudgetStatus
+                      budget={budget}
+                      total={grandTotal}
+                      peak={grandRange.max}
+                      onFit={days.length ? proposeBudgetFit : null}
+                    />
+                  )}
                 </div>
 
                 <button
-                  onClick={() => alert("This would submit a single Request-to-Book for the whole itinerary.")}
+                  onClick={openLead}
                   style={{ marginTop: 12, width: "100%", padding: "10px 12px", borderRadius: 12, border: "1px solid #0ea5e9", background: "#0ea5e9", color: "white", fontWeight: 800 }}
                 >
                   Request to Book Full Trip
@@ -1122,17 +1872,39 @@ export default function App() {
       {/* Mobile Summary Bar */}
       <MobileSummaryBar
         total={grandTotal}
-        lineItems={[
-          { label: "Hotels", amount: hotelsTotal },
-          { label: "Ferries", amount: ferryTotal },
-          { label: "Ground transport", amount: logisticsTotal },
-          { label: "Adventures", amount: addonsTotal },
-        ]}
+        totalText={formatINRRange(grandRange)}
+        lineItems={costLines}
         badges={[
           { label: "days", value: String(days.length) },
           { label: "travellers", value: String(pax) },
         ]}
-        onRequestToBook={() => alert("This would submit a lead for the full itinerary.")}
+        onRequestToBook={openLead}
+      />
+
+      {budgetFit && (
+        <BudgetFitDiff fit={budgetFit} cap={budget} onAccept={acceptBudgetFit} onReject={() => setBudgetFit(null)} />
+      )}
+      {showLead && (
+        <LeadFlow quote={leadQuote} draftId={drafts.current?.id} labelFor={itemLabel} onClose={() => setShowLead(false)} />
+      )}
+
+      <PrintableItinerary
+        days={days}
+        dayDates={days.map((_, i) => addDays(startDate, i))}
+        schedules={daySchedules}
+        labelFor={itemLabel}
+        hotelFor={(i) => {
+          const island = overnightIsland(days[i]);
+          if (!island) return null;
+          const pick = pickOn(i);
+          return { island, name: pick && `${pick.hotel.name} · ${pick.room.name}, ${mealPlanLabel(pick.mealPlan)}` };
+        }}
+        transportFor={(day) => (scooterIslands.has(overnightIsland(day) || day.island) ? "Scooter" : day.transport)}
+        travellers={describeTravellers(mix)}
+        addons={chosenAddons}
+        costLines={costLines}
+        total={grandTotal}
+        totalText={formatINRRange(grandRange)}
       />
     </div>
   );
@@ -1145,6 +1917,62 @@ const miniBtn = { border: "1px solid #e5e7eb", background: "white", borderRadius
 const pillBtn = { border: "1px solid #0ea5e9", background: "white", color: "#0ea5e9", borderRadius: 999, padding: "6px 10px", fontWeight: 700 };
 const dangerBtn = { border: "1px solid #ef4444", background: "white", color: "#ef4444", borderRadius: 999, padding: "6px 10px", fontWeight: 700 };
 
+// live total against the traveller's cap; `peak` is the dearest dated total when no date is set
+function BudgetStatus({ budget, total, peak = total, onFit }) {
+  const over = total - budget;
+  return (
+    <div style={{ fontSize: 12, display: "grid", gap: 4 }}>
+      <div style={{ display: "flex", justifyContent: "space-between" }}>
+        <span>Budget</span>
+        <b>{formatINR(budget)}</b>
+      </div>
+      <div style={{ color: over > 0 ? "#991b1b" : "#166534" }}>
+        {over > 0 ? `${formatINR(over)} over budget` : `${formatINR(-over)} under budget`}
+        {over <= 0 && peak > budget ? " — but peak dates could push it over" : ""}
+      </div>
+      {over > 0 && onFit && (
+        <button onClick={onFit} style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #0ea5e9", background: "white", color: "#0ea5e9", fontWeight: 700 }}>
+          Fit plan to budget
+        </button>
+      )}
+    </div>
+  );
+}
+
+// selected locations an adventure card relates to (see utils/recommendations)
+function RelatedLocations({ locs }) {
+  if (!locs.length) return null;
+  return (
+    <div style={{ fontSize: 11, color: "#64748b", marginTop: 4 }} title={locs.map((l) => l.name).join(", ")}>
+      📍 {listNames(locs.map((l) => l.name), 3)}
+    </div>
+  );
+}
+
+// an adventure's restrictions, plus any rule it breaks where it's scheduled (utils/activityRules)
+function ActivityRequirements({ activity, warnings }) {
+  const needs = describeRestrictions(activity);
+  const broken = [...new Set(warnings.filter((w) => w.ref === activity.id).map((w) => w.message))];
+  if (!needs.length && !broken.length) return null;
+  return (
+    <div style={{ fontSize: 11, marginTop: 4 }}>
+      {needs.length > 0 && <div style={{ color: "#475569" }}>{needs.join(" · ")}</div>}
+      {broken.map((m) => (
+        <div key={m} style={{ color: "#991b1b" }}>⚠︎ {m}</div>
+      ))}
+    </div>
+  );
+}
+
+// a chosen add-on none of whose islands the itinerary visits
+function OffTripNote({ activity }) {
+  return (
+    <div style={{ fontSize: 11, color: "#b45309", marginTop: 4 }}>
+      ⚠︎ {(activity.islands || []).join(" / ")} isn't in your trip, so this isn't on any day
+    </div>
+  );
+}
+
 function RowSplit({ label, value }) {
   return (
     <div style={{ display: "flex", justifyContent: "space-between" }}>
@@ -0,0 +1,59 @@
+import React from "react";
+import { formatINR } from "../utils/normalize.js";
+
+const ICONS = { hotel: "🏨", ferry: "⛴", scooter: "🛵", addon: "🤿" };
+
+/** The budget-fit proposal (see utils/budgetFit) as a list of changes to accept or reject. */
+export default function BudgetFitDiff({ fit, cap, onAccept, onReject }) {
+  return (
+    <div
+      id="budget-ov"
+      onClick={(e) => e.target.id === "budget-ov" && onReject()}
+      style={{ position: "fixed", inset: 0, background: "rgba(15,23,42,.45)", zIndex: 1000, display: "flex", justifyContent: "center", alignItems: "center", padding: 12 }}
+    >
+      <div role="dialog" aria-modal="true" aria-label="Fit to budget" style={{ width: "100%", maxWidth: 520, maxHeight: "90vh", overflowY: "auto", background: "white", borderRadius: 16, padding: 16, boxShadow: "0 16px 40px rgba(0,0,0,.28)", fontSize: 13, color: "#334155" }}>
+        <b style={{ fontSize: 16 }}>Fit to your {formatINR(cap)} budget</b>
+
+        {!fit.changes.length ? (
+          <div style={{ marginTop: 10 }}>
+            {fit.fits ? "Your plan is already within budget." : "There's nothing cheaper to swap in — try fewer nights or stops."}
+          </div>
+        ) : (
+          <ul style={{ listStyle: "none", margin: "10px 0", padding: 0, display: "grid", gap: 6 }}>
+            {fit.changes.map((c, k) => (
+              <li key={k} style={{ display: "flex", justifyContent: "space-between", gap: 8, borderBottom: "1px dashed #e5e7eb", paddingBottom: 6 }}>
+                <span>{ICONS[c.kind]} {c.label}</span>
+                <span style={{ color: "#166534", whiteSpace: "nowrap" }}>−{formatINR(c.saving)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div style={{ display: "grid", gap: 2, marginTop: 8 }}>
+          <div style={{ display: "flex", justifyContent: "space-between" }}>
+            <span>Current plan</span>
+            <span style={{ textDecoration: fit.changes.length ? "line-through" : "none" }}>{formatINR(fit.before)}</span>
+          </div>
+          <div style={{ display: "flex", justifyContent: "space-between", fontWeight: 800, fontSize: 15 }}>
+            <span>With these changes</span>
+            <span style={{ color: fit.fits ? "#166534" : "#991b1b" }}>{formatINR(fit.after)}</span>
+          </div>
+          {!fit.fits && (
+            <div style={{ color: "#991b1b" }}>Still {formatINR(fit.after - cap)} over budget.</div>
+          )}
+        </div>
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 14 }}>
+          <button onClick={onReject} style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>
+            {fit.changes.length ? "Keep my plan" : "Close"}
+          </button>
+          {fit.changes.length > 0 && (
+            <button onClick={onAccept} style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid #0ea5e9", background: "#0ea5e9", color: "white", fontWeight: 700 }}>
+              Apply changes
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React from "react";
+
+const TOP_TYPES = ["arrival", "transfer"];
+
+export default function DayTimeline({
+  day,
+  schedule,
+  labelFor = (it) => it.name,
+  renderActions = () => null,
+  itemProps = () => ({}), // drag & drop / keyboard handlers per item row
+  highlight = () => false, // drop target indicator
+}) {
+  const timed = new Set(schedule.entries.filter((e) => e.kind === "item").map((e) => e.itemIndex));
+  const untimed = day.items.map((it, k) => ({ it, k })).filter(({ k }) => !timed.has(k));
+
+  // arrival/transfer on top, timed plan in the middle, anything else untimed (departure) last
+  const rows = [
+    ...untimed.filter(({ it }) => TOP_TYPES.includes(it.type)).map(({ k }) => ({ kind: "item", itemIndex: k })),
+    ...schedule.entries,
+    ...untimed.filter(({ it }) => !TOP_TYPES.includes(it.type)).map(({ k }) => ({ kind: "item", itemIndex: k })),
+  ];
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      <ol style={{ listStyle: "none", margin: 0, padding: 0 }}>
+        {rows.map((r, idx) => {
+          const isTravel = r.kind === "travel";
+          const it = isTravel ? null : day.items[r.itemIndex];
+          return (
+            <li
+              key={idx}
+              {...(isTravel ? {} : itemProps(r.itemIndex))}
+              style={{
+                display: "grid",
+                gridTemplateColumns: "92px 16px 1fr",
+                gap: 8,
+                alignItems: "stretch",
+                borderTop: !isTravel && highlight(r.itemIndex) ? "2px solid #0ea5e9" : "2px solid transparent",
+              }}
+            >
+              <span style={{ fontSize: 12, color: "#475569", paddingTop: isTravel ? 2 : 6, fontVariantNumeric: "tabular-nums" }}>
+                {r.start ? `${r.start}–${r.end}` : "—"}
+              </span>
+              <span aria-hidden style={{ position: "relative", display: "flex", justifyContent: "center" }}>
+                <span style={{ position: "absolute", top: 0, bottom: 0, width: 2, background: isTravel ? "transparent" : "#e2e8f0", borderLeft: isTravel ? "2px dashed #cbd5e1" : 0 }} />
+                {!isTravel && (
+                  <span style={{ position: "relative", marginTop: 9, width: 10, height: 10, borderRadius: 999, background: it.type === "ferry" ? "#0369a1" : "#06b6d4", border: "2px solid white" }} />
+                )}
+              </span>
+              {isTravel ? (
+                <span style={{ fontSize: 11, color: "#94a3b8", padding: "2px 0" }}>travel</span>
+              ) : (
+                <span style={{ display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center", padding: "4px 0", fontSize: 14 }}>
+                  <span>{labelFor(it)}</span>
+                  {renderActions(r.itemIndex)}
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      {schedule.conflicts.map((c, k) => (
+        <div key={k} style={{ fontSize: 12, color: "#991b1b", background: "#fef2f2", border: "1px solid #fecaca", borderRadius: 8, padding: "4px 8px", marginTop: 6 }}>
+          ⛔︎ {c}
+        </div>
+      ))}
+    </div>
+  );
+}
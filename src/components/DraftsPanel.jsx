@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+
+const fmtWhen = (iso) =>
+  new Date(iso).toLocaleString("en-IN", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+
+/** Header dropdown for named drafts (see hooks/useDrafts). */
+export default function DraftsPanel({ drafts }) {
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState("");
+  const { current } = drafts;
+
+  return (
+    <span style={{ position: "relative" }}>
+      <button onClick={() => setOpen(!open)} style={btn} aria-expanded={open}>
+        Drafts ▾
+      </button>
+      {open && (
+        <div
+          style={{
+            position: "absolute",
+            right: 0,
+            top: "calc(100% + 6px)",
+            width: 300,
+            background: "white",
+            border: "1px solid #e5e7eb",
+            borderRadius: 12,
+            boxShadow: "0 10px 30px rgba(15,23,42,.12)",
+            padding: 12,
+            zIndex: 20,
+            fontSize: 12,
+            color: "#0f172a",
+          }}
+        >
+          <div style={{ fontWeight: 700, marginBottom: 6 }}>This trip</div>
+          {current ? (
+            <input
+              value={current.name}
+              onChange={(e) => drafts.rename(e.target.value)}
+              aria-label="Draft name"
+              style={{ width: "100%", boxSizing: "border-box" }}
+            />
+          ) : (
+            <div style={{ color: "#64748b" }}>Not saved yet — it autosaves once you pick a stop.</div>
+          )}
+          <div style={{ color: drafts.error ? "#991b1b" : "#64748b", marginTop: 4 }}>
+            {drafts.error || (drafts.savedAt ? `Saved at ${drafts.savedAt.toLocaleTimeString("en-IN")}` : "")}
+          </div>
+
+          <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+            <input
+              placeholder="Name for a copy"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              style={{ flex: 1, minWidth: 0 }}
+            />
+            <button
+              onClick={() => {
+                drafts.saveAs(newName.trim());
+                setNewName("");
+              }}
+              style={btn}
+            >
+              Save as new
+            </button>
+          </div>
+          <button onClick={() => { drafts.startNew(); setOpen(false); }} style={{ ...btn, marginTop: 6 }}>
+            Start a new trip
+          </button>
+
+          <div style={{ fontWeight: 700, margin: "12px 0 6px" }}>Saved drafts</div>
+          {!drafts.drafts.length && <div style={{ color: "#64748b" }}>None yet.</div>}
+          <div style={{ display: "grid", gap: 6, maxHeight: 220, overflowY: "auto" }}>
+            {drafts.drafts.map((d) => (
+              <div key={d.id} style={{ display: "flex", gap: 6, alignItems: "center", justifyContent: "space-between" }}>
+                <span style={{ minWidth: 0 }}>
+                  <div style={{ fontWeight: d.id === current?.id ? 700 : 400, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{d.name}</div>
+                  <div style={{ color: "#64748b" }}>{fmtWhen(d.savedAt)} · {d.state.selectedIds.length} stops</div>
+                </span>
+                <span style={{ display: "flex", gap: 4, flexShrink: 0 }}>
+                  {d.id !== current?.id && (
+                    <button onClick={() => { drafts.open(d.id); setOpen(false); }} style={btn}>Open</button>
+                  )}
+                  <button onClick={() => drafts.remove(d.id)} style={btn} aria-label={`Delete ${d.name}`}>×</button>
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </span>
+  );
+}
+
+const btn = { border: "1px solid #e5e7eb", background: "white", borderRadius: 6, padding: "3px 8px", fontSize: 12 };
@@ -13,12 +13,30 @@ export default class ErrorBoundary extends React.Component {
   }
   render() {
     if (this.state.hasError) {
+      // DataLoadError (utils/dataSchema) carries the per-file load report
+      const files = this.state.err?.files;
       return (
         <div style={{ padding: 24, fontFamily: "system-ui, Arial", color: "#b91c1c" }}>
-          <b>Something went wrong.</b>
-          <div style={{ marginTop: 8, color: "#334155", fontSize: 12 }}>
-            Please check the browser console for details.
-          </div>
+          <b>{files ? this.state.err.message : "Something went wrong."}</b>
+          {files ? (
+            <ul style={{ marginTop: 8, color: "#334155", fontSize: 12, paddingLeft: 18 }}>
+              {Object.entries(files)
+                .filter(([, f]) => f.status === "failed")
+                .map(([name, f]) => (
+                  <li key={name}>
+                    {name}.json — {f.error}
+                    {f.issues.length ? `: ${f.issues.join("; ")}` : ""}
+                  </li>
+                ))}
+            </ul>
+          ) : (
+            <div style={{ marginTop: 8, color: "#334155", fontSize: 12 }}>
+              Please check the browser console for details.
+            </div>
+          )}
+          <button onClick={() => window.location.reload()} style={{ marginTop: 12, padding: "6px 12px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>
+            Try again
+          </button>
         </div>
       );
     }
@@ -0,0 +1,41 @@
+import React from "react";
+import { AMENITIES } from "../utils/hotels.js";
+import { formatINR } from "../utils/normalize.js";
+
+const distance = (m) => (m < 1000 ? `${m} m` : `${(m / 1000).toFixed(1)} km`);
+
+/** One property in the Hotels step: photo (when the catalog has one), tier, beach distance, amenities and a select button. */
+export default function HotelCard({ hotel, fromPrice, picked = false, onSelect }) {
+  const photo = hotel.photos?.[0];
+  return (
+    <div style={{ border: `1px solid ${picked ? "#16a34a" : "#e5e7eb"}`, background: "white", borderRadius: 12, padding: 12, display: "flex", flexDirection: "column" }}>
+      {photo && <div style={{ height: 80, background: `url(${photo}) center/cover`, borderRadius: 8, marginBottom: 8 }} />}
+      <div style={{ fontSize: 13, fontWeight: 600 }}>{hotel.name}</div>
+      <div style={{ fontSize: 12, color: "#475569" }}>
+        {hotel.tier} • {distance(hotel.beachDistanceM)} to the beach • {fromPrice == null ? "Price on request" : `From ${formatINR(fromPrice)}/night`}
+      </div>
+      {hotel.brief && <div style={{ fontSize: 12, color: "#64748b", marginTop: 4 }}>{hotel.brief}</div>}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 6 }}>
+        {hotel.amenities.map((a) => (
+          <span key={a} style={{ fontSize: 11, color: "#0f766e", background: "#f0fdfa", border: "1px solid #99f6e4", borderRadius: 999, padding: "1px 6px" }}>
+            {AMENITIES[a] || a}
+          </span>
+        ))}
+      </div>
+      <div style={{ fontSize: 11, color: "#64748b", margin: "6px 0 8px" }}>
+        {hotel.rooms.length} room type{hotel.rooms.length === 1 ? "" : "s"}
+      </div>
+      <button
+        onClick={onSelect}
+        style={{
+          marginTop: "auto", width: "100%", padding: "8px 10px",
+          borderRadius: 8, border: "1px solid #16a34a",
+          background: picked ? "#16a34a" : "white",
+          color: picked ? "white" : "#16a34a", fontWeight: 600
+        }}
+      >
+        {picked ? "Selected" : "Select"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import React, { useMemo, useState } from "react";
+import { ANDAMAN_OUTLINE, OUTLINE_BOUNDS } from "../data/andamanOutline.js";
+import { ISLAND_HUBS } from "../utils/routing.js";
+import { overnightIsland } from "../utils/itinerary.js";
+
+export const DAY_COLORS = ["#0ea5e9", "#f97316", "#16a34a", "#a855f7", "#e11d48", "#ca8a04", "#0d9488", "#4f46e5"];
+export const dayColor = (i) => DAY_COLORS[i % DAY_COLORS.length];
+
+// equirectangular, 100 units per degree of latitude
+const LNG_SCALE = 100 * Math.cos((12 * Math.PI) / 180);
+const project = ({ lat, lng }) => [(lng - OUTLINE_BOUNDS.west) * LNG_SCALE, (OUTLINE_BOUNDS.north - lat) * 100];
+const hasGeo = (p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lng);
+
+const FULL_VIEW = (() => {
+  const [x0, y0] = project({ lat: OUTLINE_BOUNDS.north, lng: OUTLINE_BOUNDS.west });
+  const [x1, y1] = project({ lat: OUTLINE_BOUNDS.south, lng: OUTLINE_BOUNDS.east });
+  return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+})();
+
+/**
+ * Offline map of the itinerary: each day's stops (colour per day), ferry legs and
+ * the night's hotel, drawn over a bundled outline — no tile server needed.
+ */
+export default function ItineraryMap({ days, locationsById, hotelNameFor = () => null, onOpenLocation = () => {} }) {
+  const [focus, setFocus] = useState("all"); // "all" | day index
+
+  const layers = useMemo(
+    () =>
+      days.map((day, i) => {
+        const night = overnightIsland(day);
+        return {
+          i,
+          pins: day.items
+            .filter((it) => it.type === "location" && hasGeo(locationsById[it.ref]))
+            .map((it) => locationsById[it.ref]),
+          ferries: day.items
+            .filter((it) => it.type === "ferry" && ISLAND_HUBS[it.from] && ISLAND_HUBS[it.to])
+            .map((it) => [ISLAND_HUBS[it.from], ISLAND_HUBS[it.to]]),
+          hotel: night && ISLAND_HUBS[night] ? { ...ISLAND_HUBS[night], island: night, name: hotelNameFor(i, night) } : null,
+        };
+      }),
+    [days, locationsById, hotelNameFor]
+  );
+
+  const shown = focus === "all" ? layers : layers.filter((l) => l.i === focus);
+
+  // zoom to whatever is on screen (plus padding); whole archipelago when nothing is
+  const view = useMemo(() => {
+    const pts = shown.flatMap((l) => [...l.pins, ...l.ferries.flat(), ...(l.hotel ? [l.hotel] : [])]).map(project);
+    if (!pts.length) return FULL_VIEW;
+    const xs = pts.map((p) => p[0]);
+    const ys = pts.map((p) => p[1]);
+    const pad = 4;
+    const w = Math.max(12, Math.max(...xs) - Math.min(...xs)) + pad * 2;
+    const h = Math.max(12, Math.max(...ys) - Math.min(...ys)) + pad * 2;
+    return { x: Math.min(...xs) - pad, y: Math.min(...ys) - pad, w, h };
+  }, [shown]);
+
+  const r = Math.max(view.w, view.h) / 60;
+
+  return (
+    <div style={{ border: "1px solid #e5e7eb", borderRadius: 12, background: "white", padding: 10, marginBottom: 12 }}>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 8 }}>
+        <button onClick={() => setFocus("all")} style={chip(focus === "all", "#0f172a")}>All days</button>
+        {layers.map((l) => (
+          <button key={l.i} onClick={() => setFocus(l.i)} style={chip(focus === l.i, dayColor(l.i))}>
+            Day {l.i + 1}
+          </button>
+        ))}
+      </div>
+
+      <svg
+        viewBox={`${view.x} ${view.y} ${view.w} ${view.h}`}
+        style={{ width: "100%", height: 360, background: "#e0f2fe", borderRadius: 8 }}
+        role="img"
+        aria-label="Map of your itinerary"
+      >
+        {ANDAMAN_OUTLINE.map((isl) => (
+          <polygon
+            key={isl.name}
+            points={isl.ring.map(([lat, lng]) => project({ lat, lng }).join(",")).join(" ")}
+            fill="#fef3c7"
+            stroke="#d6d3d1"
+            strokeWidth={1}
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+
+        {shown.map((l) =>
+          l.ferries.map(([a, b], k) => {
+            const [x1, y1] = project(a);
+            const [x2, y2] = project(b);
+            return (
+              <line
+                key={`f${l.i}-${k}`}
+                x1={x1} y1={y1} x2={x2} y2={y2}
+                stroke={dayColor(l.i)}
+                strokeWidth={2}
+                strokeDasharray="6 4"
+                vectorEffect="non-scaling-stroke"
+              />
+            );
+          })
+        )}
+
+        {shown.map((l) =>
+          l.hotel ? (
+            <g key={`h${l.i}`}>
+              <rect
+                x={project(l.hotel)[0] - r}
+                y={project(l.hotel)[1] - r}
+                width={r * 2}
+                height={r * 2}
+                fill="white"
+                stroke={dayColor(l.i)}
+                strokeWidth={2}
+                vectorEffect="non-scaling-stroke"
+              />
+              <title>{`Night ${l.i + 1}: ${l.hotel.name || "Hotel not chosen yet"} (${l.hotel.island})`}</title>
+            </g>
+          ) : null
+        )}
+
+        {shown.map((l) =>
+          l.pins.map((loc) => {
+            const [x, y] = project(loc);
+            return (
+              <circle
+                key={`p${l.i}-${loc.id}`}
+                cx={x}
+                cy={y}
+                r={r}
+                fill={dayColor(l.i)}
+                stroke="white"
+                strokeWidth={1.5}
+                vectorEffect="non-scaling-stroke"
+                style={{ cursor: "pointer" }}
+                onClick={() => onOpenLocation(loc)}
+              >
+                <title>{`Day ${l.i + 1}: ${loc.name}`}</title>
+              </circle>
+            );
+          })
+        )}
+      </svg>
+
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", fontSize: 11, color: "#475569", marginTop: 6 }}>
+        <span>● stop (click for details)</span>
+        <span>□ hotel for the night</span>
+        <span>- - ferry</span>
+        <span>Map is schematic; works offline.</span>
+      </div>
+    </div>
+  );
+}
+
+const chip = (on, color) => ({
+  border: `1px solid ${color}`,
+  background: on ? color : "white",
+  color: on ? "white" : color,
+  borderRadius: 999,
+  padding: "3px 8px",
+  fontSize: 12,
+  fontWeight: 700,
+});
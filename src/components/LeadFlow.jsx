@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { BOOKING_CONTACT, buildLeadPayload, newLeadReference, submitLead, validateContact } from "../utils/leads.js";
+import { formatINR } from "../utils/normalize.js";
+
+/**
+ * Request-to-Book modal: contact details → review of the quote → send → confirmation.
+ * `quote` is the trip + pricing snapshot (see utils/leads buildLeadPayload).
+ */
+export default function LeadFlow({ quote, draftId = null, labelFor = (it) => it.name, onClose }) {
+  const [stage, setStage] = useState("contact"); // contact | review | sending | done
+  const [contact, setContact] = useState({ name: "", phone: "", email: "", notes: "" });
+  const [errors, setErrors] = useState({});
+  const [result, setResult] = useState(null); // submitLead() result
+  // one reference per booking attempt, so resends are recognised as the same lead
+  const [reference] = useState(newLeadReference);
+
+  const set = (k) => (e) => setContact({ ...contact, [k]: e.target.value });
+  const toReview = () => {
+    const errs = validateContact(contact);
+    setErrors(errs);
+    if (!Object.keys(errs).length) setStage("review");
+  };
+  const send = async () => {
+    setStage("sending");
+    const res = await submitLead(buildLeadPayload({ reference, contact, draftId, quote }));
+    setResult(res);
+    setStage(res.status === "rejected" || res.status === "unavailable" ? "review" : "done");
+  };
+
+  return (
+    <div
+      id="lead-ov"
+      onClick={(e) => { if (e.target.id === "lead-ov" && stage !== "sending") onClose(); }}
+      style={{ position: "fixed", inset: 0, background: "rgba(15,23,42,.45)", zIndex: 1000, display: "flex", justifyContent: "center", alignItems: "center", padding: 12 }}
+    >
+      <div role="dialog" aria-modal="true" aria-label="Request to book" style={{ width: "100%", maxWidth: 560, maxHeight: "90vh", overflowY: "auto", background: "white", borderRadius: 16, padding: 16, boxShadow: "0 16px 40px rgba(0,0,0,.28)" }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+          <b style={{ fontSize: 16 }}>Request to Book</b>
+          {stage !== "sending" && <button onClick={onClose} aria-label="Close" style={{ border: 0, background: "transparent", fontSize: 20 }}>×</button>}
+        </div>
+
+        {stage === "contact" && (
+          <div style={{ display: "grid", gap: 10 }}>
+            <Input label="Full name" value={contact.name} onChange={set("name")} error={errors.name} autoComplete="name" />
+            <Input label="Mobile (+91)" value={contact.phone} onChange={set("phone")} error={errors.phone} type="tel" placeholder="+91 98765 43210" autoComplete="tel" />
+            <Input label="Email" value={contact.email} onChange={set("email")} error={errors.email} type="email" autoComplete="email" />
+            <label style={{ fontSize: 12, color: "#475569", display: "grid", gap: 6 }}>
+              <span>Anything we should know? (optional)</span>
+              <textarea rows={3} value={contact.notes} onChange={set("notes")} />
+            </label>
+            <button onClick={toReview} style={primaryBtn}>Review my request</button>
+          </div>
+        )}
+
+        {(stage === "review" || stage === "sending") && (
+          <div style={{ fontSize: 13, color: "#334155" }}>
+            <div style={{ display: "grid", gap: 2 }}>
+              <div><b>{contact.name}</b> · {contact.phone} · {contact.email}</div>
+              <div>
+                {quote.startDate || "Dates flexible"} · {quote.days.length} days · {quote.pax.adults} adult(s)
+                {quote.pax.childAges?.length ? `, ${quote.pax.childAges.length} child(ren) aged ${quote.pax.childAges.join(", ")}` : ""}
+                {quote.pax.infants ? `, ${quote.pax.infants} infant(s)` : ""}
+              </div>
+            </div>
+            <ol style={{ margin: "10px 0", paddingLeft: 18, display: "grid", gap: 2 }}>
+              {quote.days.map((d, i) => (
+                <li key={i}>
+                  <b>{d.island}</b>: {d.items.map(labelFor).join(" · ") || "Free day"}
+                </li>
+              ))}
+            </ol>
+            {quote.hotels?.length > 0 && (
+              <div>
+                Hotels: {quote.hotels.map((h) => `${h.hotel} (${h.room}, ${h.mealPlan}) × ${h.nights.length} night(s)`).join("; ")}
+              </div>
+            )}
+            {quote.addons.length > 0 && <div>Add-ons: {quote.addons.map((a) => a.name).join(", ")}</div>}
+            <div style={{ borderTop: "1px dashed #e5e7eb", marginTop: 10, paddingTop: 10, display: "grid", gap: 4 }}>
+              {quote.lineItems.map((l) => (
+                <div key={l.label} style={{ display: "flex", justifyContent: "space-between" }}>
+                  <span>{l.label}</span>
+                  <span>{l.text ?? formatINR(l.amount)}</span>
+                </div>
+              ))}
+              <div style={{ display: "flex", justifyContent: "space-between", fontWeight: 800, fontSize: 15 }}>
+                <span>Total (indicative)</span>
+                <span>{quote.totalText ?? formatINR(quote.total)}</span>
+              </div>
+            </div>
+            {result?.status === "rejected" && (
+              <div role="alert" style={{ marginTop: 10, color: "#991b1b", background: "#fef2f2", border: "1px solid #fecaca", borderRadius: 8, padding: "6px 10px" }}>
+                We couldn't accept this request ({result.error}). Please check your details, or reach us directly:
+                <ContactFallback reference={result.reference} />
+              </div>
+            )}
+            {result?.status === "unavailable" && (
+              <div role="alert" style={{ marginTop: 10, color: "#991b1b", background: "#fef2f2", border: "1px solid #fecaca", borderRadius: 8, padding: "6px 10px" }}>
+                Online requests aren't available right now. Reach us directly and quote reference <b>{result.reference}</b>:
+                <ContactFallback reference={result.reference} />
+              </div>
+            )}
+            <div style={{ display: "flex", justifyContent: "space-between", marginTop: 12 }}>
+              <button onClick={() => setStage("contact")} disabled={stage === "sending"} style={secondaryBtn}>Edit details</button>
+              <button onClick={send} disabled={stage === "sending"} style={primaryBtn}>
+                {stage === "sending" ? "Sending…" : "Send request"}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {stage === "done" && (
+          <div style={{ fontSize: 14, color: "#334155", textAlign: "center", padding: "10px 0" }}>
+            <div style={{ fontSize: 32 }}>{result.status === "sent" ? "✅" : "📨"}</div>
+            <div style={{ fontWeight: 800, fontSize: 16, marginTop: 4 }}>
+              {result.status === "sent"
+                ? "Request received"
+                : result.reason === "offline"
+                  ? "Saved — we'll send it when you're back online"
+                  : "Saved — our booking server isn't answering, so we'll keep retrying"}
+            </div>
+            <div style={{ marginTop: 8 }}>
+              Your reference: <b style={{ fontFamily: "ui-monospace, monospace" }}>{result.reference}</b>
+            </div>
+            <div style={{ fontSize: 12, color: "#64748b", marginTop: 6 }}>
+              Our team will call {contact.phone} to confirm availability and payment.
+            </div>
+            <button onClick={onClose} style={{ ...primaryBtn, marginTop: 12 }}>Done</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// call / WhatsApp links for when the request can't go through online (utils/leads BOOKING_CONTACT)
+function ContactFallback({ reference }) {
+  const { phone, whatsapp } = BOOKING_CONTACT;
+  if (!phone && !whatsapp) return <div style={{ marginTop: 4 }}>Please try again in a little while.</div>;
+  const text = encodeURIComponent(`Hi! I'd like to book my Andaman trip — reference ${reference}.`);
+  return (
+    <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginTop: 6, fontWeight: 700 }}>
+      {phone && <a href={`tel:${phone.replace(/[^\d+]/g, "")}`} style={{ color: "#991b1b" }}>📞 Call {phone}</a>}
+      {whatsapp && <a href={`https://wa.me/${whatsapp.replace(/\D/g, "")}?text=${text}`} target="_blank" rel="noreferrer" style={{ color: "#991b1b" }}>💬 WhatsApp us</a>}
+    </div>
+  );
+}
+
+function Input({ label, error, ...props }) {
+  return (
+    <label style={{ fontSize: 12, color: "#475569", display: "grid", gap: 6 }}>
+      <span>{label}</span>
+      <input
+        {...props}
+        aria-invalid={Boolean(error)}
+        style={{ padding: "8px 10px", borderRadius: 8, border: `1px solid ${error ? "#ef4444" : "#e5e7eb"}` }}
+      />
+      {error && <span style={{ color: "#991b1b" }}>{error}</span>}
+    </label>
+  );
+}
+
+const primaryBtn = { padding: "8px 12px", borderRadius: 8, border: "1px solid #0ea5e9", background: "#0ea5e9", color: "white", fontWeight: 700 };
+const secondaryBtn = { padding: "8px 12px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" };
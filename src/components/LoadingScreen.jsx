@@ -1,6 +1,9 @@
 import React from "react";
 
-export default function LoadingScreen({ label = "Loading…" }) {
+const MARKS = { loading: "…", ok: "✓", partial: "!", failed: "✗" };
+
+/** `files` (optional) is useAndamanData's per-file report, shown as a checklist. */
+export default function LoadingScreen({ label = "Loading…", files = null }) {
   return (
     <div style={{ padding: 24, fontFamily: "system-ui, Arial" }}>
       <div style={{ display: "inline-flex", alignItems: "center", gap: 10 }}>
@@ -14,6 +17,16 @@ export default function LoadingScreen({ label = "Loading…" }) {
         />
         <b>{label}</b>
       </div>
+      {files && (
+        <ul style={{ listStyle: "none", padding: 0, margin: "12px 0 0", fontSize: 12, color: "#475569", display: "grid", gap: 2 }}>
+          {Object.entries(files).map(([name, f]) => (
+            <li key={name} style={{ color: f.status === "failed" ? "#b91c1c" : undefined }}>
+              <span style={{ display: "inline-block", width: 16 }}>{MARKS[f.status]}</span>
+              {name}.json{f.error ? ` — ${f.error}` : ""}
+            </li>
+          ))}
+        </ul>
+      )}
       <style>{`
         @keyframes pulse {
           0%,100% { opacity: .55 }
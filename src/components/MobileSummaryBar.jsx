@@ -2,6 +2,7 @@ import React, { useEffect, useState } from "react";
 
 export default function MobileSummaryBar({
   total = 0,
+  totalText = null, // e.g. a price range; overrides the formatted total
   lineItems = [],
   badges = [],
   onRequestToBook = () => {},
@@ -139,7 +140,7 @@ export default function MobileSummaryBar({
                 boxShadow: "0 2px 8px rgba(0,0,0,.12)"
               }}
             >
-              {formatINR(total)}
+              {totalText ?? formatINR(total)}
             </span>
           </div>
         </button>
@@ -171,7 +172,7 @@ export default function MobileSummaryBar({
                 }}
               >
                 <span>{li.label}</span>
-                <strong>{formatINR(li.amount)}</strong>
+                <strong>{li.text ?? formatINR(li.amount)}</strong>
               </div>
             ))}
 
@@ -186,7 +187,7 @@ export default function MobileSummaryBar({
               }}
             >
               <span>Total (indicative)</span>
-              <strong>{formatINR(total)}</strong>
+              <strong>{totalText ?? formatINR(total)}</strong>
             </div>
 
             <div style={{ fontSize: 11, color: "#64748b", marginTop: 6 }}>
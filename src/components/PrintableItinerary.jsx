@@ -0,0 +1,112 @@
+import React from "react";
+import { formatINR } from "../utils/normalize.js";
+
+const fmtDate = (yyyy_mm_dd) =>
+  new Date(`${yyyy_mm_dd}T00:00:00Z`).toLocaleDateString("en-IN", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+/**
+ * The customer-facing itinerary document. Hidden on screen and shown only when
+ * printing (see `.print-doc` in style.css), so "Save as PDF" gives a clean copy.
+ * `dayDates[i]` is the calendar date of day i (or null), `hotelFor(i)` the night's
+ * stay ({ island, name } | null).
+ */
+export default function PrintableItinerary({
+  days,
+  dayDates,
+  schedules,
+  labelFor = (it) => it.name,
+  hotelFor = () => null,
+  transportFor = (day) => day.transport,
+  travellers,
+  addons = [],
+  costLines = [], // [{ label, amount, text? }] — text (e.g. a range) wins over amount
+  total = 0,
+  totalText = null,
+}) {
+  return (
+    <div className="print-doc">
+      <header style={{ borderBottom: "3px solid #06b6d4", paddingBottom: 8, marginBottom: 16 }}>
+        <div style={{ fontSize: 11, letterSpacing: 1.5, color: "#0891b2", fontWeight: 800 }}>ANDAMAN ISLANDS PLANNER</div>
+        <h1 style={{ margin: "4px 0", fontSize: 22 }}>Your Andaman itinerary</h1>
+        <div style={{ fontSize: 12, color: "#475569" }}>
+          {dayDates[0] ? `${fmtDate(dayDates[0])} – ${fmtDate(dayDates[days.length - 1])}` : "Dates to be confirmed"}
+          {" · "}
+          {days.length} days · {travellers}
+        </div>
+      </header>
+
+      {days.map((day, i) => {
+        const timeOf = new Map(
+          (schedules[i]?.entries || []).filter((e) => e.kind === "item").map((e) => [e.itemIndex, `${e.start}–${e.end}`])
+        );
+        const hotel = hotelFor(i);
+        return (
+          <section key={i} className="print-day" style={{ marginBottom: 14 }}>
+            <h2 style={{ fontSize: 15, margin: "0 0 4px", color: "#0f172a" }}>
+              Day {i + 1}
+              {dayDates[i] ? ` · ${fmtDate(dayDates[i])}` : ""} — {day.island}
+            </h2>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+              <tbody>
+                {day.items.map((it, k) => (
+                  <tr key={k} style={{ borderTop: "1px solid #e5e7eb" }}>
+                    <td style={{ width: 90, padding: "4px 6px", color: "#475569", fontVariantNumeric: "tabular-nums" }}>{timeOf.get(k) || ""}</td>
+                    <td style={{ padding: "4px 6px", fontWeight: it.type === "ferry" ? 700 : 400 }}>
+                      {it.type === "ferry" ? "⛴ " : ""}
+                      {labelFor(it)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ fontSize: 11, color: "#475569", marginTop: 4, display: "flex", gap: 16 }}>
+              <span>Getting around: {transportFor(day, i) || "—"}</span>
+              {hotel && <span>Night: {hotel.name || "Hotel to be chosen"} ({hotel.island})</span>}
+            </div>
+          </section>
+        );
+      })}
+
+      {addons.length > 0 && (
+        <section className="print-day" style={{ marginBottom: 14 }}>
+          <h2 style={{ fontSize: 15, margin: "0 0 4px" }}>Adventures &amp; add-ons</h2>
+          <ul style={{ margin: 0, paddingLeft: 18, fontSize: 12 }}>
+            {addons.map((a) => (
+              <li key={a.id}>
+                {a.name}
+                {a.price ? ` — ${formatINR(a.price)}` : ""}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <section className="print-day">
+        <h2 style={{ fontSize: 15, margin: "0 0 4px" }}>Cost breakdown</h2>
+        <table style={{ width: "100%", maxWidth: 360, borderCollapse: "collapse", fontSize: 12 }}>
+          <tbody>
+            {costLines.map((c) => (
+              <tr key={c.label} style={{ borderTop: "1px solid #e5e7eb" }}>
+                <td style={{ padding: "4px 6px" }}>{c.label}</td>
+                <td style={{ padding: "4px 6px", textAlign: "right" }}>{c.text ?? formatINR(c.amount)}</td>
+              </tr>
+            ))}
+            <tr style={{ borderTop: "2px solid #06b6d4", fontWeight: 800 }}>
+              <td style={{ padding: "6px" }}>Total (indicative)</td>
+              <td style={{ padding: "6px", textAlign: "right" }}>{totalText ?? formatINR(total)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <p style={{ fontSize: 10, color: "#64748b", marginTop: 10 }}>
+          Prices are indicative and confirmed at booking. Ferry times follow published schedules and can change with weather.
+        </p>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+// Hand-simplified coastline of the Andaman archipelago, [lat, lng] rings.
+// Good enough to show where things are relative to each other — not for navigation.
+export const ANDAMAN_OUTLINE = [
+  {
+    name: "North Andaman",
+    ring: [[13.68, 92.93], [13.55, 93.08], [13.3, 93.1], [13.1, 93.02], [12.92, 92.98], [12.92, 92.86], [13.1, 92.86], [13.35, 92.9], [13.6, 92.85]],
+  },
+  {
+    name: "Middle Andaman",
+    ring: [[12.92, 92.98], [12.75, 92.98], [12.55, 92.99], [12.35, 92.92], [12.22, 92.88], [12.25, 92.72], [12.5, 92.73], [12.75, 92.8], [12.92, 92.86]],
+  },
+  {
+    name: "Baratang",
+    ring: [[12.22, 92.88], [12.05, 92.82], [12.02, 92.72], [12.15, 92.7], [12.25, 92.72]],
+  },
+  {
+    name: "South Andaman",
+    ring: [[12.02, 92.8], [11.85, 92.78], [11.7, 92.77], [11.55, 92.74], [11.48, 92.7], [11.52, 92.6], [11.62, 92.57], [11.8, 92.62], [11.98, 92.68]],
+  },
+  {
+    name: "Rutland",
+    ring: [[11.5, 92.68], [11.38, 92.66], [11.36, 92.6], [11.45, 92.58]],
+  },
+  {
+    name: "Havelock",
+    ring: [[12.07, 92.98], [12.03, 93.03], [11.96, 93.02], [11.95, 92.96], [12.01, 92.94]],
+  },
+  {
+    name: "Neil",
+    ring: [[11.85, 93.02], [11.84, 93.05], [11.81, 93.04], [11.82, 93.01]],
+  },
+  {
+    name: "Long Island",
+    ring: [[12.42, 92.93], [12.4, 92.96], [12.36, 92.95], [12.37, 92.92]],
+  },
+  {
+    name: "Little Andaman",
+    ring: [[10.88, 92.52], [10.8, 92.6], [10.6, 92.6], [10.5, 92.55], [10.55, 92.45], [10.75, 92.44]],
+  },
+];
+
+export const OUTLINE_BOUNDS = { north: 13.8, south: 10.4, west: 92.3, east: 93.5 };
@@ -1,23 +1,35 @@
-import { useEffect, useState, useRef } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { normalizeLocations } from "../utils/normalize.js";
+import { DATA_FILES, DataLoadError, validateDataFile } from "../utils/dataSchema.js";
+import { EMPTY_PRICING } from "../utils/pricing.js";
+
+// what the planner falls back to when a file can't be used
+const FALLBACK = {
+  locations: [],
+  activities: [],
+  ferries: [],
+  location_adventures: [],
+  pricing: EMPTY_PRICING,
+  hotels: [],
+};
 
 /**
  * Central data loader with:
  * - Timeout guards
  * - Content-Type check
  * - AbortController to prevent state updates after unmount
- * - Partial load tolerance (but we still surface an overall error)
+ * - Schema validation per file (see utils/dataSchema)
+ * - Partial load tolerance: a failed optional file leaves the app "degraded" with that
+ *   file's fallback; only a failed required file is an error.
+ *
+ * `files[name]` is { status: "loading" | "ok" | "partial" | "failed", issues: [string], error? };
+ * "partial" means some records were dropped.
  */
 export function useAndamanData() {
-  const [status, setStatus] = useState("loading"); // loading | ready | error
-  const [error, setError] = useState(null);
-  const [locations, setLocations] = useState([]);
-  const [activities, setActivities] = useState([]);
-  const [ferries, setFerries] = useState([]);
-  const [locAdventures, setLocAdventures] = useState([]);
-
-  const mounted = useRef(true);
-  useEffect(() => () => { mounted.current = false; }, []);
+  const [files, setFiles] = useState(() =>
+    Object.fromEntries(Object.keys(DATA_FILES).map((name) => [name, { status: "loading", issues: [] }]))
+  );
+  const [data, setData] = useState(FALLBACK);
 
   useEffect(() => {
     const ctrl = new AbortController();
@@ -40,36 +52,48 @@ export function useAndamanData() {
       return res.json();
     };
 
-    (async () => {
+    const load = async (name) => {
+      let report;
+      let value = FALLBACK[name];
       try {
-        setStatus("loading");
-        setError(null);
-
-        const [locsRaw, actsRaw, fersRaw, mapRaw] = await Promise.all([
-          fetchJSON("/data/locations.json", "locations"),
-          fetchJSON("/data/activities.json", "activities"),
-          fetchJSON("/data/ferries.json", "ferries"),
-          fetchJSON("/data/location_adventures.json", "location_adventures"),
-        ]);
-
-        const normalizedLocs = normalizeLocations(Array.isArray(locsRaw) ? locsRaw : []);
-        if (!mounted.current) return;
-
-        setLocations(normalizedLocs);
-        setActivities(Array.isArray(actsRaw) ? actsRaw : []);
-        setFerries(Array.isArray(fersRaw) ? fersRaw : []);
-        setLocAdventures(Array.isArray(mapRaw) ? mapRaw : []);
-        setStatus("ready");
+        const { data: valid, issues } = validateDataFile(name, await fetchJSON(DATA_FILES[name].path, name));
+        if (valid) value = valid;
+        report = { status: !valid ? "failed" : issues.length ? "partial" : "ok", issues, error: valid ? null : "invalid data" };
       } catch (e) {
-        if (!mounted.current) return;
-        console.error("[data] load failed:", e);
-        setError(e);
-        setStatus("error");
+        report = { status: "failed", issues: [], error: e.message };
       }
-    })();
+      if (ctrl.signal.aborted) return;
+      if (report.status !== "ok") console.error(`[data] ${name}:`, report.error || "", report.issues);
+      setFiles((prev) => ({ ...prev, [name]: report }));
+      setData((prev) => ({ ...prev, [name]: value }));
+    };
 
+    Object.keys(DATA_FILES).forEach(load);
     return () => ctrl.abort();
   }, []);
 
-  return { status, error, locations, activities, ferries, locAdventures };
+  // memoised so consumers' effects only re-run when a file actually arrives
+  const locations = useMemo(() => normalizeLocations(data.locations), [data.locations]);
+  const pricing = useMemo(() => ({ ...EMPTY_PRICING, ...data.pricing }), [data.pricing]);
+
+  const reports = Object.entries(files);
+  const status = reports.some(([, f]) => f.status === "loading")
+    ? "loading"
+    : reports.some(([name, f]) => f.status === "failed" && DATA_FILES[name].required)
+      ? "error"
+      : reports.some(([, f]) => f.status !== "ok")
+        ? "degraded"
+        : "ready";
+
+  return {
+    status, // loading | ready | degraded | error
+    files,
+    error: status === "error" ? new DataLoadError(files) : null, // thrown by App for ErrorBoundary
+    locations,
+    activities: data.activities,
+    ferries: data.ferries,
+    locAdventures: data.location_adventures,
+    pricing,
+    hotels: data.hotels,
+  };
 }
@@ -0,0 +1,68 @@
+import { useRef, useState } from "react";
+
+/**
+ * Native HTML5 drag & drop wiring for the itinerary: items between/within days,
+ * and whole days. The actual rules live in utils/dayEdits — this only tracks
+ * what is being dragged and where it was dropped.
+ */
+export function useDayDragDrop({ onMoveItem, onMoveDay }) {
+  const dragging = useRef(null); // { kind: "item", day, index } | { kind: "day", day }
+  const [over, setOver] = useState(null); // highlight target: "d3" | "d3:1"
+
+  const end = () => {
+    dragging.current = null;
+    setOver(null);
+  };
+
+  const allow = (key) => (e) => {
+    if (!dragging.current) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    if (over !== key) setOver(key);
+  };
+
+  // a stop: drag it, or drop another stop in front of it
+  const itemProps = (day, index) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      e.stopPropagation();
+      dragging.current = { kind: "item", day, index };
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", `item:${day}:${index}`);
+    },
+    onDragOver: allow(`d${day}:${index}`),
+    onDrop: (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const src = dragging.current;
+      if (src?.kind === "item") onMoveItem({ day: src.day, index: src.index }, { day, index });
+      else if (src?.kind === "day") onMoveDay(src.day, day);
+      end();
+    },
+    onDragEnd: end,
+  });
+
+  // a whole day card: drop a stop at its end, or drop a day onto it
+  const dayProps = (day) => ({
+    onDragOver: allow(`d${day}`),
+    onDrop: (e) => {
+      e.preventDefault();
+      const src = dragging.current;
+      if (src?.kind === "item") onMoveItem({ day: src.day, index: src.index }, { day, index: Infinity });
+      else if (src?.kind === "day") onMoveDay(src.day, day);
+      end();
+    },
+  });
+
+  const dayHandleProps = (day) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      dragging.current = { kind: "day", day };
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", `day:${day}`);
+    },
+    onDragEnd: end,
+  });
+
+  return { itemProps, dayProps, dayHandleProps, over };
+}
@@ -0,0 +1,90 @@
+import { useEffect, useState } from "react";
+import {
+  EMPTY_DRAFT_STATE,
+  deleteDraft,
+  draftsAvailable,
+  listDrafts,
+  newDraftId,
+  renameDraft,
+  saveDraft,
+} from "../utils/drafts.js";
+
+const AUTOSAVE_MS = 800;
+const defaultName = () =>
+  `Trip of ${new Date().toLocaleDateString("en-IN", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })}`;
+const isEmpty = (state) => !state.selectedIds.length && !state.days.length;
+
+/**
+ * Named drafts with autosave. `state` is the serialisable planner state;
+ * `onRestore(state)` must put a saved state back into the app.
+ * The newest draft is offered as `resume` once per page load.
+ */
+export function useDrafts(state, onRestore) {
+  const [drafts, setDrafts] = useState(() => listDrafts());
+  const [current, setCurrent] = useState(null); // { id, name } of the draft being edited
+  const [resume, setResume] = useState(() => listDrafts()[0] || null);
+  const [savedAt, setSavedAt] = useState(null);
+  const [error, setError] = useState(draftsAvailable() ? null : "Drafts can't be saved in this browser.");
+
+  const refresh = () => setDrafts(listDrafts());
+  const write = (draft) => {
+    if (!saveDraft(draft)) {
+      setError("Couldn't save the draft — browser storage is full or blocked.");
+      return false;
+    }
+    setError(null);
+    setSavedAt(new Date());
+    refresh();
+    return true;
+  };
+
+  // autosave; a new draft starts with the first real change
+  const json = JSON.stringify(state);
+  useEffect(() => {
+    if (!current && isEmpty(state)) return;
+    const t = setTimeout(() => {
+      const target = current || { id: newDraftId(), name: defaultName() };
+      if (write({ ...target, state }) && !current) setCurrent(target);
+    }, AUTOSAVE_MS);
+    return () => clearTimeout(t);
+  }, [json, current]);
+
+  const open = (id) => {
+    const d = drafts.find((x) => x.id === id);
+    if (!d) return;
+    onRestore(d.state);
+    setCurrent({ id: d.id, name: d.name });
+    setResume(null);
+  };
+
+  return {
+    drafts,
+    current,
+    savedAt,
+    error,
+    resume,
+    open,
+    dismissResume: () => setResume(null),
+    saveAs: (name) => {
+      const target = { id: newDraftId(), name: name || defaultName() };
+      if (write({ ...target, state })) setCurrent(target);
+    },
+    rename: (name) => {
+      if (!current) return;
+      setCurrent({ ...current, name });
+      renameDraft(current.id, name);
+      refresh();
+    },
+    remove: (id) => {
+      deleteDraft(id);
+      if (current?.id === id) setCurrent(null);
+      refresh();
+    },
+    // leaves the current draft saved as it is; a name saves the new one right away
+    startNew: (state = EMPTY_DRAFT_STATE, name = null) => {
+      setCurrent(name ? { id: newDraftId(), name } : null);
+      setResume(null);
+      onRestore(state);
+    },
+  };
+}
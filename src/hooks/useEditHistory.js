@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useState } from "react";
+
+const LIMIT = 100;
+
+/**
+ * Undo/redo over one snapshot object. `commit` records a new step, `replace`
+ * rewrites the current step in place (for derived updates that belong to the
+ * edit that caused them). Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes —
+ * except inside text fields, which keep their own undo.
+ */
+export function useEditHistory(initial) {
+  const [h, setH] = useState({ past: [], present: initial, future: [] });
+
+  const resolve = (next, present) => (typeof next === "function" ? next(present) : next);
+
+  const commit = useCallback((next) => {
+    setH(({ past, present }) => {
+      const value = resolve(next, present);
+      if (value === present) return { past, present, future: [] };
+      return { past: [...past, present].slice(-LIMIT), present: value, future: [] };
+    });
+  }, []);
+
+  const replace = useCallback((next) => {
+    setH((s) => ({ ...s, present: resolve(next, s.present) }));
+  }, []);
+
+  const undo = useCallback(() => {
+    setH(({ past, present, future }) =>
+      past.length ? { past: past.slice(0, -1), present: past[past.length - 1], future: [present, ...future] } : { past, present, future }
+    );
+  }, []);
+
+  const redo = useCallback(() => {
+    setH(({ past, present, future }) =>
+      future.length ? { past: [...past, present], present: future[0], future: future.slice(1) } : { past, present, future }
+    );
+  }, []);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const t = e.target;
+      const typing = t && (t.isContentEditable || t.tagName === "TEXTAREA" || (t.tagName === "INPUT" && !/^(checkbox|radio|button)$/.test(t.type)));
+      if (typing) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [undo, redo]);
+
+  return {
+    present: h.present,
+    commit,
+    replace,
+    undo,
+    redo,
+    canUndo: h.past.length > 0,
+    canRedo: h.future.length > 0,
+  };
+}
@@ -0,0 +1,108 @@
+import { overnightIsland } from "./itinerary.js";
+
+/**
+ * Activity prerequisites and safety rules. activities.json may carry
+ *   restrictions: { minAge, swimming, fitness, noFlyHrs, days }
+ * - minAge: youngest traveller allowed (infants count as under 2)
+ * - swimming / fitness: the level the whole group needs (see the level lists below)
+ * - noFlyHrs: hours after the activity before flying (diving)
+ * - days: consecutive days the activity runs on its island (courses, liveaboards)
+ * Missing fields mean no restriction.
+ */
+export const SWIM_LEVELS = [
+  { id: "none", label: "Non-swimmer" },
+  { id: "basic", label: "Can swim a little" },
+  { id: "confident", label: "Confident swimmer" },
+];
+export const FITNESS_LEVELS = [
+  { id: "easy", label: "Easy-going" },
+  { id: "moderate", label: "Moderately fit" },
+  { id: "strenuous", label: "Very fit" },
+];
+
+const rank = (levels, id) => levels.findIndex((l) => l.id === id);
+const labelOf = (levels, id) => levels.find((l) => l.id === id)?.label || id;
+
+/** Shape check for one activity's `restrictions` (used by utils/dataSchema). */
+export const isRestrictions = (r) =>
+  r == null ||
+  (typeof r === "object" &&
+    !Array.isArray(r) &&
+    ["minAge", "noFlyHrs", "days"].every((k) => r[k] == null || (typeof r[k] === "number" && r[k] >= 0)) &&
+    (r.swimming == null || rank(SWIM_LEVELS, r.swimming) !== -1) &&
+    (r.fitness == null || rank(FITNESS_LEVELS, r.fitness) !== -1));
+
+/** Short requirement list for an adventure card: ["Age 10+", "Confident swimmers", …]. */
+export function describeRestrictions(activity) {
+  const r = activity?.restrictions || {};
+  return [
+    r.minAge && `Age ${r.minAge}+`,
+    r.swimming && r.swimming !== "none" && (r.swimming === "confident" ? "Confident swimmers" : "Some swimming"),
+    r.fitness && r.fitness !== "easy" && `For ${labelOf(FITNESS_LEVELS, r.fitness).toLowerCase()} groups`,
+    r.days > 1 && `Runs over ${r.days} days`,
+    r.noFlyHrs && `No flying for ${r.noFlyHrs}h after`,
+  ].filter(Boolean);
+}
+
+/**
+ * Check the scheduled activity items against their restrictions, the itinerary and
+ * the party: `party` is { adults, childAges, infants } (real ages, not price bands),
+ * `profile` is { swimming, fitness } for the weakest member ("" = not given, skipped).
+ * Returns [{ dayIndex, ref, kind: "age" | "swimming" | "fitness" | "no-fly" | "multi-day", message }].
+ */
+export function checkActivityRules(days, activitiesById, { party = {}, profile = {} } = {}) {
+  const out = [];
+  const ages = (party.childAges || []).map(Number).filter(Number.isFinite);
+  const infants = party.infants || 0;
+  const departure = days.findIndex((d) => d.items.some((it) => it.type === "departure"));
+
+  days.forEach((day, dayIndex) => {
+    day.items
+      .filter((it) => it.type === "activity" && !it.part) // continuation days are checked with their first day
+      .forEach((it) => {
+        const r = activitiesById[it.ref]?.restrictions;
+        if (!r) return;
+        const warn = (kind, message) => out.push({ dayIndex, ref: it.ref, kind, message });
+
+        if (r.minAge) {
+          const young = ages.filter((a) => a < r.minAge);
+          if (infants && r.minAge >= 2) warn("age", `${it.name} isn't open to infants — minimum age ${r.minAge}`);
+          if (young.length) {
+            warn("age", `${it.name} is for ages ${r.minAge}+, but your party includes a child aged ${young.join(", ")}`);
+          }
+        }
+        if (r.swimming && profile.swimming && rank(SWIM_LEVELS, profile.swimming) < rank(SWIM_LEVELS, r.swimming)) {
+          warn("swimming", `${it.name} needs everyone ${r.swimming === "confident" ? "to be a confident swimmer" : "to be able to swim"}`);
+        }
+        if (r.fitness && profile.fitness && rank(FITNESS_LEVELS, profile.fitness) < rank(FITNESS_LEVELS, r.fitness)) {
+          warn("fitness", `${it.name} is ${r.fitness} — better suited to a ${labelOf(FITNESS_LEVELS, r.fitness).toLowerCase()} group`);
+        }
+
+        // multi-day activities need the following days on the same island
+        const span = Math.max(1, r.days || 1);
+        if (span > 1) {
+          const stays = (k) => days[k] && overnightIsland(days[k - 1]) === it.island && days[k].island === it.island;
+          let have = 1;
+          while (have < span && stays(dayIndex + have)) have += 1;
+          if (have < span) {
+            warn("multi-day", `${it.name} runs over ${span} days, but the trip leaves ${it.island} after ${have} day${have > 1 ? "s" : ""}`);
+          }
+        }
+
+        // day-level rule of thumb: an activity ending the day before the flight is < 24h out
+        if (r.noFlyHrs && departure !== -1) {
+          const lastDay = dayIndex + span - 1;
+          const gapDays = departure - lastDay;
+          if (gapDays * 24 <= r.noFlyHrs) {
+            warn(
+              "no-fly",
+              gapDays <= 0
+                ? `${it.name} runs into your departure day — no flying for ${r.noFlyHrs}h after diving`
+                : `${it.name} is less than ${r.noFlyHrs}h before your flight out on Day ${departure + 1} — no flying for ${r.noFlyHrs}h after diving`
+            );
+          }
+        }
+      });
+  });
+  return out;
+}
@@ -0,0 +1,84 @@
+import { rateOn } from "./pricing.js";
+import { offeredMealPlans } from "./hotels.js";
+
+/**
+ * Budget fit: proposes cheaper choices for a plan until its total is within `cap`.
+ *   plan: { roomPicks, ferryClass, scooterIslands: [island], addonIds }
+ *   ctx:  {
+ *     totalOf(plan),   // the app's cost model
+ *     hotelsByIsland,  // see utils/hotels
+ *     nightIslands,    // overnight island of each day index (null when there's no night)
+ *     ferryClasses,    // { [class]: multiplier }
+ *     cabIslands,      // islands with Day Cab days
+ *     addons,          // chosen add-ons [{ id, name, price, linked }] — linked to a chosen stop = keep
+ *   }
+ * Changes are tried from least to most noticeable — cheapest room per island, a lower
+ * ferry class, scooters instead of cabs, then unlinked add-ons (dearest first) — and
+ * only kept while the plan is over the cap and they actually save money.
+ * Returns { plan, changes: [{ kind, label, saving }], before, after, fits }.
+ */
+export function fitToBudget(plan, cap, ctx) {
+  const before = ctx.totalOf(plan);
+  let current = plan;
+  let total = before;
+  const changes = [];
+  const tryChange = (kind, label, next) => {
+    if (total <= cap) return false;
+    const t = ctx.totalOf(next);
+    if (t >= total) return false;
+    changes.push({ kind, label, saving: total - t });
+    current = next;
+    total = t;
+    return true;
+  };
+
+  // cheapest room on each island, keeping the meal plan where the room offers it
+  const picked = {};
+  ctx.nightIslands.forEach((island, i) => {
+    const pick = current.roomPicks[i];
+    const hotel = (ctx.hotelsByIsland[island] || []).find((h) => h.id === pick?.hotelId);
+    if (hotel) (picked[island] ||= []).push({ i, hotel, pick });
+  });
+  Object.entries(picked).forEach(([island, nights]) => {
+    const [hotel, room] = cheapestRoom(ctx.hotelsByIsland[island]);
+    if (nights.every((n) => n.pick.roomId === room.id && n.hotel === hotel)) return;
+    const roomPicks = { ...current.roomPicks };
+    nights.forEach(({ i, pick }) => {
+      const keep = room.mealPlans?.[pick.mealPlan] != null;
+      roomPicks[i] = { hotelId: hotel.id, roomId: room.id, mealPlan: keep ? pick.mealPlan : offeredMealPlans(room)[0]?.id || "EP" };
+    });
+    const was = [...new Set(nights.map((n) => n.hotel.name))].join(" + ");
+    tryChange("hotel", `${island}: ${was} → ${hotel.name} (${room.name})`, { ...current, roomPicks });
+  });
+
+  // the first lower ferry class that fits, else the cheapest
+  const lower = Object.entries(ctx.ferryClasses)
+    .filter(([, m]) => m < (ctx.ferryClasses[current.ferryClass] ?? Infinity))
+    .sort((a, b) => b[1] - a[1])
+    .map(([c]) => c);
+  const ferryClass = lower.find((c) => ctx.totalOf({ ...current, ferryClass: c }) <= cap) || lower[lower.length - 1];
+  if (ferryClass) tryChange("ferry", `Ferry class ${current.ferryClass} → ${ferryClass}`, { ...current, ferryClass });
+
+  ctx.cabIslands
+    .filter((island) => !current.scooterIslands.includes(island))
+    .forEach((island) =>
+      tryChange("scooter", `Scooter instead of a cab on ${island}`, { ...current, scooterIslands: [...current.scooterIslands, island] })
+    );
+
+  ctx.addons
+    .filter((a) => !a.linked)
+    .sort((a, b) => b.price - a.price)
+    .forEach((a) => tryChange("addon", `Drop ${a.name}`, { ...current, addonIds: current.addonIds.filter((id) => id !== a.id) }));
+
+  return { plan: current, changes, before, after: total, fits: total <= cap };
+}
+
+function cheapestRoom(hotels) {
+  let best = null;
+  hotels.forEach((h) =>
+    h.rooms.forEach((r) => {
+      if (!best || (rateOn(r.rates) ?? Infinity) < (rateOn(best[1].rates) ?? Infinity)) best = [h, r];
+    })
+  );
+  return best;
+}
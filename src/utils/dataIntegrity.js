@@ -0,0 +1,113 @@
+import { slugify } from "./normalize.js";
+import { DATA_FILES, KNOWN_ISLANDS, validateDataFile } from "./dataSchema.js";
+
+/**
+ * Cross-file reference checks for public/data, on top of the per-file schema checks:
+ *   location_adventures.locationId   → locations.id
+ *   location_adventures.adventureIds → activities.id
+ *   locations.suggestedAdventureIds  → activities.id
+ *   pricing.ferries.routes           → ferries.id
+ *   pricing.cabs.defaultModel        → pricing.cabs.models
+ *   pricing.rules[].islands          → KNOWN_ISLANDS (other files' islands are schema checks)
+ * `checkIntegrity({ [file]: json })` → [{ file, where, message, suggestion? }]; an empty
+ * list means the data is consistent. Unresolved ids get a fuzzy "did you mean" from the
+ * slugified ids and names of the target file — nearby records first, then all of them.
+ */
+export function checkIntegrity(files) {
+  const problems = [];
+  const add = (file, where, message, suggestion = null) => problems.push({ file, where, message, suggestion });
+
+  const data = {};
+  Object.keys(DATA_FILES).forEach((name) => {
+    if (files[name] === undefined) return add(name, "file", "missing");
+    const { data: valid, issues } = validateDataFile(name, files[name]);
+    issues.forEach((msg) => add(name, "schema", msg));
+    data[name] = valid || (DATA_FILES[name].check ? {} : []);
+  });
+
+  const locations = index(data.locations, (l) => l.location || l.name);
+  const activities = index(data.activities, (a) => a.name);
+  const ferryIds = new Set(data.ferries.map((f) => f.id));
+
+  // `near` prefers suggestions close by, e.g. activities on the location's island;
+  // without a close match there, any record in the file is suggested
+  const ref = (file, where, id, target, kind, near = () => true) => {
+    if (target.ids.has(id)) return;
+    const hit = closest(id, target.keys.filter(near)) || closest(id, target.keys);
+    add(file, where, `unknown ${kind} "${id}"`, hit && `${hit.id}${hit.label ? ` (${hit.label})` : ""}`);
+  };
+
+  data.location_adventures.forEach((m, i) => {
+    const where = `#${i + 1}`;
+    ref("location_adventures", where, m.locationId, locations, "location id");
+    m.adventureIds.forEach((id) => ref("location_adventures", where, id, activities, "activity id"));
+  });
+  data.locations.forEach((l) =>
+    (l.suggestedAdventureIds || []).forEach((id) =>
+      ref("locations", l.id, id, activities, "suggested activity id", (c) => c.record.islands.includes(l.island))
+    )
+  );
+
+  Object.keys(data.pricing.ferries?.routes || {}).forEach((id) => {
+    if (!ferryIds.has(id)) add("pricing", "ferries.routes", `unknown ferry route "${id}"`, closest(id, keysOf(ferryIds))?.id);
+  });
+  const models = (data.pricing.cabs?.models || []).map((m) => m.id);
+  if (data.pricing.cabs?.defaultModel && !models.includes(data.pricing.cabs.defaultModel)) {
+    add("pricing", "cabs.defaultModel", `unknown cab model "${data.pricing.cabs.defaultModel}"`);
+  }
+  (data.pricing.rules || []).forEach((r) =>
+    (r.islands || []).forEach((isl) => {
+      if (KNOWN_ISLANDS.includes(isl)) return;
+      const hit = closest(isl, KNOWN_ISLANDS.map((k) => ({ id: k, keys: [slugify(k)] })));
+      add("pricing", `rules.${r.id}`, `unknown island "${isl}"`, hit?.id);
+    })
+  );
+
+  return problems;
+}
+
+// ids plus fuzzy-match keys (slugified id and name) for a list of records
+function index(list, labelOf) {
+  return {
+    ids: new Set(list.map((r) => r.id)),
+    keys: list.map((r) => ({ id: r.id, label: labelOf(r), record: r, keys: [slugify(r.id), slugify(labelOf(r) || "")] })),
+  };
+}
+
+const keysOf = (ids) => [...ids].map((id) => ({ id, keys: [slugify(id)] }));
+
+// Dice coefficient over character bigrams; containment ("radhanagar_beach" in
+// "radhanagar_beach_beach_no_7") counts as a strong match
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.includes(b) || b.includes(a)) return 0.9;
+  const grams = (s) => Array.from({ length: s.length - 1 }, (_, i) => s.slice(i, i + 2));
+  const ga = grams(a);
+  const gb = grams(b);
+  const pool = [...gb];
+  let common = 0;
+  ga.forEach((g) => {
+    const k = pool.indexOf(g);
+    if (k >= 0) {
+      common += 1;
+      pool.splice(k, 1);
+    }
+  });
+  return (2 * common) / (ga.length + gb.length || 1);
+}
+
+/** Best candidate for an unresolved id, or null when nothing is similar enough. */
+export function closest(id, candidates, threshold = 0.45) {
+  const q = slugify(String(id));
+  let best = null;
+  let bestScore = threshold;
+  candidates.forEach((c) => {
+    const score = Math.max(...c.keys.map((k) => similarity(q, k)));
+    if (score > bestScore) {
+      best = c;
+      bestScore = score;
+    }
+  });
+  return best;
+}
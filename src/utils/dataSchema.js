@@ -0,0 +1,133 @@
+import { DEFAULT_ISLANDS } from "./itinerary.js";
+import { isRestrictions } from "./activityRules.js";
+
+/**
+ * Runtime checks for the JSON files in public/data. Each list file is validated record by
+ * record: records missing a required field, with an unknown island or a repeated id are
+ * dropped and reported, so one bad row doesn't take the planner down.
+ * `validateDataFile(name, json)` → { data, issues: [string] }; `data` is null when the
+ * file as a whole has the wrong shape (or, for pricing, is missing a section).
+ */
+
+// planning islands plus the ones only locations/activities use
+export const KNOWN_ISLANDS = [...DEFAULT_ISLANDS, "Remote/Expeditions"];
+
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isIsland = (v) => KNOWN_ISLANDS.includes(v);
+const isList = (test) => (v) => Array.isArray(v) && v.every(test);
+
+/**
+ * Per file: list files are arrays of records with a unique `id` field and `fields`
+ * checks [field, test, what]; `check` validates a whole-object file instead.
+ * `without` tells the traveller what's missing when the file can't be loaded.
+ */
+export const DATA_FILES = {
+  locations: {
+    path: "/data/locations.json",
+    required: true, // nothing to plan without it
+    id: "id",
+    fields: [
+      ["id", isText, "an id"],
+      ["island", isIsland, "a known island"],
+      ["location", (v, r) => isText(v) || isText(r.name), "a name"],
+      ["lat", (v) => v == null || isNum(v), "numeric lat"],
+      ["lng", (v) => v == null || isNum(v), "numeric lng"],
+    ],
+  },
+  activities: {
+    path: "/data/activities.json",
+    without: "Adventures and add-ons are unavailable.",
+    id: "id",
+    fields: [
+      ["id", isText, "an id"],
+      ["name", isText, "a name"],
+      ["islands", (v) => Array.isArray(v) && v.length > 0 && v.every(isIsland), "known islands"],
+      ["basePriceINR", isNum, "a basePriceINR"],
+      ["restrictions", isRestrictions, "valid restrictions"],
+    ],
+  },
+  ferries: {
+    path: "/data/ferries.json",
+    without: "Ferry legs use generic timings instead of real sailings.",
+    id: "id",
+    fields: [
+      ["id", isText, "an id"],
+      ["from", isIsland, "a known from island"],
+      ["to", isIsland, "a known to island"],
+      ["schedules", isList((s) => isText(s.depart) && isText(s.arrive)), "schedules with depart/arrive"],
+    ],
+  },
+  location_adventures: {
+    path: "/data/location_adventures.json",
+    without: "Adventures aren't linked to individual stops.",
+    id: "locationId",
+    fields: [
+      ["locationId", isText, "a locationId"],
+      ["adventureIds", isList(isText), "a list of adventureIds"],
+    ],
+  },
+  pricing: {
+    path: "/data/pricing.json",
+    without: "Prices are unavailable, so totals show ₹0.",
+    check: (p) =>
+      [
+        !p.currency?.code && "currency.code is missing",
+        !p.ferries?.routes && "ferries.routes is missing",
+        !Array.isArray(p.cabs?.models) && "cabs.models must be a list",
+        !Array.isArray(p.rules) && "rules must be a list",
+      ].filter(Boolean),
+  },
+  hotels: {
+    path: "/data/hotels.json",
+    without: "Hotels can't be chosen yet.",
+    id: "id",
+    fields: [
+      ["id", isText, "an id"],
+      ["name", isText, "a name"],
+      ["island", isIsland, "a known island"],
+      ["rooms", (v) => Array.isArray(v) && v.length > 0 && v.every((r) => isText(r.id) && Array.isArray(r.rates)), "rooms with ids and rates"],
+    ],
+  },
+};
+
+export function validateDataFile(name, json) {
+  const spec = DATA_FILES[name];
+  if (spec.check) {
+    if (!json || typeof json !== "object" || Array.isArray(json)) return { data: null, issues: ["expected an object"] };
+    const issues = spec.check(json);
+    return { data: issues.length ? null : json, issues };
+  }
+  if (!Array.isArray(json)) return { data: null, issues: ["expected a list"] };
+
+  const issues = [];
+  const seen = new Set();
+  const data = json.filter((rec, i) => {
+    const label = `#${i + 1}${isText(rec?.[spec.id]) ? ` (${rec[spec.id]})` : ""}`;
+    if (!rec || typeof rec !== "object") {
+      issues.push(`${label}: not an object`);
+      return false;
+    }
+    const missing = spec.fields.filter(([field, test]) => !test(rec[field], rec)).map(([, , what]) => what);
+    if (missing.length) {
+      issues.push(`${label}: needs ${missing.join(", ")}`);
+      return false;
+    }
+    if (seen.has(rec[spec.id])) {
+      issues.push(`${label}: duplicate ${spec.id}`);
+      return false;
+    }
+    seen.add(rec[spec.id]);
+    return true;
+  });
+  return { data, issues };
+}
+
+/** A required file couldn't be used; `files` is useAndamanData's per-file report. */
+export class DataLoadError extends Error {
+  constructor(files) {
+    super("Couldn't load the Andaman trip data.");
+    this.name = "DataLoadError";
+    this.files = files;
+  }
+}
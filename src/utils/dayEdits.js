@@ -0,0 +1,247 @@
+import { DAY_BUDGET_HRS, activityItem, dayHours, overnightIsland } from "./itinerary.js";
+
+/**
+ * Pure edit operations on itinerary `days`. Each returns { days, error } and never
+ * mutates its input; on error `days` is the original array.
+ * Rules: the arrival day stays first and the departure day stays last; inside a day
+ * arrival/transfer stay on top and departure at the bottom; a stop only goes to a
+ * day that touches its island (directly or via that day's ferry); each day starts on
+ * the island the night before ended on.
+ */
+const LEADING = ["arrival", "transfer"];
+const LOCKED = ["arrival", "transfer", "departure"];
+
+const isArrivalDay = (day) => day?.items.some((it) => it.type === "arrival");
+const isDepartureDay = (day) => day?.items.some((it) => it.type === "departure");
+
+/** Islands a day touches: where it starts plus wherever its ferries go. */
+export const dayIslands = (day) => [
+  day.island,
+  ...day.items.filter((it) => it.type === "ferry" && it.to).map((it) => it.to),
+];
+
+const fail = (days, error) => ({ days, error });
+
+// allowed insertion range inside a day's item list
+function insertBounds(items) {
+  let min = 0;
+  while (min < items.length && LEADING.includes(items[min].type)) min++;
+  const dep = items.findIndex((it) => it.type === "departure");
+  return [min, dep === -1 ? items.length : dep];
+}
+
+// the island you're on at each insertion position 0..items.length
+const islandAtPositions = (day, items) => {
+  const out = [day.island];
+  items.forEach((it) => out.push(it.type === "ferry" && it.to ? it.to : out[out.length - 1]));
+  return out;
+};
+
+// nearest allowed position to `index` (inside the bounds, on the stop's side of any ferry); -1 if none
+function placeIndex(day, items, index, island) {
+  const [min, max] = insertBounds(items);
+  const clamped = Math.min(Math.max(index, min), max);
+  if (!island) return clamped;
+  const at = islandAtPositions(day, items);
+  const allowed = [];
+  for (let q = min; q <= max; q++) if (at[q] === island) allowed.push(q);
+  if (!allowed.length) return -1;
+  return allowed.reduce((best, q) => (Math.abs(q - clamped) < Math.abs(best - clamped) ? q : best), allowed[0]);
+}
+
+/**
+ * Move one item to (toDay, toIndex). toIndex is the position in the target day
+ * before the move (use Infinity for "at the end"); it is clamped to the allowed range.
+ * `islandOf(item)` resolves a stop's island when the item doesn't carry one.
+ */
+export function moveItemTo(days, from, to, { islandOf = (it) => it.island } = {}) {
+  const src = days[from.day];
+  const item = src?.items[from.index];
+  const dst = days[to.day];
+  if (!item || !dst) return fail(days, "Nothing to move there.");
+  if (LOCKED.includes(item.type)) return fail(days, `${item.name} can't be moved.`);
+
+  const island = item.type === "location" || item.type === "activity" ? islandOf(item) : null;
+  if (to.day !== from.day && island && !dayIslands(dst).includes(island)) {
+    return fail(days, `${item.name} is on ${island}, but Day ${to.day + 1} is spent on ${dst.island}. Add a ferry leg first.`);
+  }
+
+  const copy = days.map((d, i) => (i === from.day || i === to.day ? { ...d, items: [...d.items] } : d));
+  copy[from.day].items.splice(from.index, 1);
+  let index = to.index;
+  if (to.day === from.day && index > from.index) index -= 1;
+  index = placeIndex(copy[to.day], copy[to.day].items, index, island);
+  if (index === -1) return fail(days, `${item.name} is on ${island} — that day has no time there.`);
+  copy[to.day].items.splice(index, 0, item);
+  return { days: copy, error: null };
+}
+
+/** Ferry item to let a stop from another island land on this day. */
+export const ferryLegTo = (fromIsland, toIsland) => ({
+  type: "ferry",
+  name: `Ferry ${fromIsland} → ${toIsland}`,
+  from: fromIsland,
+  to: toIsland,
+  scheduled: false,
+});
+
+/** Adds an (unscheduled) ferry to `island` at the start of a day's plan. */
+export function addFerryLeg(days, dayIdx, island) {
+  const day = days[dayIdx];
+  if (!day || dayIslands(day).includes(island)) return { days, error: null };
+  const items = [...day.items];
+  const [min] = insertBounds(items);
+  const fromIsland = dayIslands(day).pop();
+  items.splice(min, 0, ferryLegTo(fromIsland, island));
+  return { days: days.map((d, i) => (i === dayIdx ? { ...d, items } : d)), error: null };
+}
+
+// days that don't start where the night before ended (index of the later day)
+const islandBreaks = (days) =>
+  days.map((d, i) => i).filter((i) => i > 0 && overnightIsland(days[i - 1]) && days[i].island !== overnightIsland(days[i - 1]));
+
+/**
+ * Reorder whole days; the arrival day stays first and the departure day last, and a
+ * day only moves within its island stay — moves that would put a day on the wrong
+ * side of a ferry are rejected.
+ */
+export function moveDay(days, from, to) {
+  if (from === to) return { days, error: null };
+  if (!days[from] || to < 0 || to >= days.length) return fail(days, "Can't move the day there.");
+  if (isArrivalDay(days[from]) || isDepartureDay(days[from])) {
+    return fail(days, "Arrival and departure days stay where they are.");
+  }
+  if ((to === 0 && isArrivalDay(days[0])) || (to === days.length - 1 && isDepartureDay(days[days.length - 1]))) {
+    return fail(days, "Arrival stays first and departure stays last.");
+  }
+  const copy = [...days];
+  const [day] = copy.splice(from, 1);
+  copy.splice(to, 0, day);
+  const before = islandBreaks(days);
+  const broken = islandBreaks(copy);
+  if (broken.length > before.length) {
+    const k = broken.find((i) => !before.includes(i)) ?? broken[0];
+    return fail(
+      days,
+      `That would put Day ${k + 1} on ${copy[k].island} right after a night on ${overnightIsland(copy[k - 1])} — days only move within their island stay.`
+    );
+  }
+  return { days: copy, error: null };
+}
+
+const stopsOf = (days) => days.flatMap((d) => d.items.filter((it) => it.type === "location"));
+
+/**
+ * Carry manual edits over to a new selection instead of regenerating: stops that
+ * were deselected are dropped, new stops go into the lightest day already on their
+ * island. When the set of islands changes the ferry plan changes too, so the fresh
+ * plan `next` is used and `kept` is false.
+ */
+export function mergeSelectionChange(edited, next, { islandOf = (it) => it.island } = {}) {
+  const nextStops = stopsOf(next);
+  const islandsOf = (stops) => [...new Set(stops.map(islandOf))].sort().join("|");
+  if (islandsOf(stopsOf(edited)) !== islandsOf(nextStops)) return { days: next, kept: false };
+
+  const wanted = new Set(nextStops.map((it) => it.ref));
+  let days = edited.map((d) => ({
+    ...d,
+    items: d.items.filter((it) => it.type !== "location" || wanted.has(it.ref)),
+  }));
+  const have = new Set(stopsOf(days).map((it) => it.ref));
+
+  for (const item of nextStops.filter((it) => !have.has(it.ref))) {
+    const island = islandOf(item);
+    const target = days
+      .map((d, i) => ({ d, i, at: placeIndex(d, d.items, Infinity, island) }))
+      .filter((c) => c.at !== -1 && dayIslands(c.d).includes(island))
+      .sort((a, b) => isDepartureDay(a.d) - isDepartureDay(b.d) || dayHours(a.d) - dayHours(b.d) || a.i - b.i)[0];
+    if (!target) return { days: next, kept: false };
+    const items = [...target.d.items];
+    items.splice(target.at, 0, item);
+    days = days.map((d, i) => (i === target.i ? { ...d, items } : d));
+  }
+  return { days, kept: true };
+}
+
+/**
+ * Keep add-on activities in the day plan: items for add-ons no longer chosen are
+ * dropped, and each missing one is placed right after a stop it's linked to
+ * (`linkedTo(activityId)` → location ids), else on the lightest day touching one of
+ * its islands. Days with room left in the day budget are tried first. A multi-day
+ * activity also fills the following days on its island with continuation items, so
+ * nothing else gets packed into them; it starts where that whole run fits.
+ * Items the traveller already moved stay put. Add-ons whose islands aren't in the
+ * trip come back in `unplaced`. Returns the same `days` array when nothing changed.
+ */
+export function placeAddons(days, addons, { linkedTo = () => [], budgetHrs = DAY_BUDGET_HRS } = {}) {
+  const wanted = new Set(addons.map((a) => a.id));
+  let changed = false;
+  let out = days.map((d) => {
+    const items = d.items.filter((it) => it.type !== "activity" || wanted.has(it.ref));
+    if (items.length === d.items.length) return d;
+    changed = true;
+    return { ...d, items };
+  });
+  const have = new Set(out.flatMap((d) => d.items.filter((it) => it.type === "activity").map((it) => it.ref)));
+  const unplaced = [];
+
+  const insert = (dayIdx, at, item) => {
+    const items = [...out[dayIdx].items];
+    items.splice(at, 0, item);
+    out = out.map((d, i) => (i === dayIdx ? { ...d, items } : d));
+    changed = true;
+  };
+
+  // the start day plus the following days a multi-day activity continues on (same island)
+  const spanFrom = (i, island, span) => {
+    const run = [i];
+    const stays = (k) => out[k] && !isDepartureDay(out[k]) && overnightIsland(out[k - 1]) === island && out[k].island === island;
+    while (run.length < span && stays(i + run.length)) run.push(i + run.length);
+    return run;
+  };
+
+  addons
+    .filter((a) => !have.has(a.id))
+    .forEach((a) => {
+      const islands = a.islands || [];
+      const links = linkedTo(a.id);
+      const first = activityItem(a);
+      const span = first.days || 1;
+      // rank: the whole run fits the island and every day has room → 0; worse → higher
+      const over = (c) => {
+        const run = spanFrom(c.i, c.island, span);
+        return (run.length < span ? 2 : 0) + (run.some((k) => dayHours(out[k]) + first.durationHrs > budgetHrs) ? 1 : 0);
+      };
+      const place = (c) => {
+        spanFrom(c.i, c.island, span)
+          .slice(1)
+          .forEach((k, n) => insert(k, placeIndex(out[k], out[k].items, 0, c.island), activityItem(a, c.island, n + 2)));
+        insert(c.i, c.at, activityItem(a, c.island));
+      };
+
+      // next to a linked stop, preferring a day with room
+      const linked = out
+        .map((d, i) => {
+          const k = d.items.findIndex((it) => it.type === "location" && links.includes(it.ref) && islands.includes(it.island));
+          return { d, i, island: d.items[k]?.island, at: k === -1 ? -1 : placeIndex(d, d.items, k + 1, d.items[k].island) };
+        })
+        .filter((c) => c.at !== -1)
+        .sort((x, y) => over(x) - over(y) || x.i - y.i)[0];
+      if (linked && over(linked) < 2) return place(linked);
+
+      // else the lightest day on one of its islands; ferry days have less time to spare
+      const hasFerry = (d) => d.items.some((it) => it.type === "ferry");
+      const target = out
+        .map((d, i) => {
+          const island = dayIslands(d).filter((isl) => islands.includes(isl)).pop();
+          return { d, i, island, at: island ? placeIndex(d, d.items, Infinity, island) : -1 };
+        })
+        .filter((c) => c.at !== -1 && !isDepartureDay(c.d))
+        .sort((x, y) => over(x) - over(y) || hasFerry(x.d) - hasFerry(y.d) || dayHours(x.d) - dayHours(y.d) || x.i - y.i)[0];
+      const best = [linked, target].filter(Boolean).sort((x, y) => over(x) - over(y))[0];
+      if (best) place(best);
+      else unplaced.push(a);
+    });
+
+  return { days: changed ? out : days, unplaced };
+}
@@ -0,0 +1,95 @@
+/**
+ * Saved trip drafts (localStorage). Every draft carries the schema version it was
+ * written with; `migrateDraft` upgrades older shapes step by step, so a change to
+ * the planner state only needs a new entry in MIGRATIONS.
+ */
+export const DRAFT_VERSION = 2;
+const STORAGE_KEY = "andaman-planner:drafts";
+
+// MIGRATIONS[n](state) upgrades a version-n draft state to version n + 1.
+// When the saved shape changes: bump DRAFT_VERSION and add the step here.
+const MIGRATIONS = {
+  // v1 chose one hotel per island from placeholder hotels that aren't in hotels.json
+  1: ({ chosenHotels, ...state }) => ({ ...state, roomPicks: {} }),
+};
+
+export const EMPTY_DRAFT_STATE = {
+  step: 0,
+  startDate: "",
+  adults: 2,
+  childAges: [],
+  infants: 0,
+  startPB: true,
+  targetNights: "",
+  budget: "", // all-in cap in INR
+  abilities: { swimming: "", fitness: "" }, // see utils/activityRules
+  selectedIds: [],
+  addonIds: [],
+  days: [],
+  roomPicks: {}, // { [dayIdx]: { hotelId, roomId, mealPlan } }
+  essentials: null, // null = keep the app's defaults
+  scooterIslands: [],
+};
+
+/** Upgrade a stored draft to DRAFT_VERSION; null when it is unreadable or from a newer app. */
+export function migrateDraft(draft) {
+  if (!draft || typeof draft !== "object" || typeof draft.state !== "object") return null;
+  let version = Number(draft.version) || 1;
+  if (version > DRAFT_VERSION) return null;
+  let state = draft.state;
+  while (version < DRAFT_VERSION) {
+    if (!MIGRATIONS[version]) return null;
+    state = MIGRATIONS[version](state);
+    version += 1;
+  }
+  return { ...draft, version, state: { ...EMPTY_DRAFT_STATE, ...state } };
+}
+
+export const draftsAvailable = () => Boolean(storage());
+
+function storage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null; // blocked (private mode, sandboxed iframe)
+  }
+}
+
+/** All drafts, newest first. Unreadable entries are skipped. */
+export function listDrafts() {
+  const raw = storage()?.getItem(STORAGE_KEY);
+  if (!raw) return [];
+  try {
+    const all = JSON.parse(raw);
+    return (Array.isArray(all) ? all : [])
+      .map(migrateDraft)
+      .filter(Boolean)
+      .sort((a, b) => (b.savedAt || "").localeCompare(a.savedAt || ""));
+  } catch {
+    return [];
+  }
+}
+
+const writeAll = (drafts) => {
+  const s = storage();
+  if (!s) return false;
+  try {
+    s.setItem(STORAGE_KEY, JSON.stringify(drafts));
+    return true;
+  } catch {
+    return false; // quota exceeded
+  }
+};
+
+export const newDraftId = () => `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/** Insert or update one draft; returns false when storage isn't available. */
+export function saveDraft({ id, name, state }) {
+  const others = listDrafts().filter((d) => d.id !== id);
+  return writeAll([{ id, name, version: DRAFT_VERSION, savedAt: new Date().toISOString(), state }, ...others]);
+}
+
+export const deleteDraft = (id) => writeAll(listDrafts().filter((d) => d.id !== id));
+
+export const renameDraft = (id, name) =>
+  writeAll(listDrafts().map((d) => (d.id === id ? { ...d, name } : d)));
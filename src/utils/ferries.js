@@ -0,0 +1,175 @@
+import { weekdayOf } from "./normalize.js";
+
+const CONNECTION_BUFFER_MINS = 60; // min gap between arriving and the next sailing at a hub
+const MAX_WAIT_DAYS = 7;
+
+export const toMins = (hhmm) => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || "").trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+export const fromMins = (mins) => {
+  const h = Math.floor(mins / 60) % 24;
+  const m = Math.round(mins % 60);
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+};
+
+// "1h45m–2h15m" → 135 (upper bound, we plan conservatively); "1h" → 60
+export function parseDurationMins(str) {
+  const parts = String(str || "").split(/[–-]/);
+  const last = parts[parts.length - 1];
+  const h = /(\d+(?:\.\d+)?)\s*h/.exec(last);
+  const m = /(\d+)\s*m/.exec(last);
+  if (!h && !m) return null;
+  return Math.round((h ? Number(h[1]) * 60 : 0) + (m ? Number(m[1]) : 0));
+}
+
+const shiftDate = (yyyy_mm_dd, n) => {
+  const d = new Date(`${yyyy_mm_dd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+// validFrom/validTo are "MM-DD" and may wrap the year end (e.g. 10-01 → 05-31)
+function inSeason(s, yyyy_mm_dd) {
+  if (!s.validFrom || !s.validTo) return true;
+  const md = yyyy_mm_dd.slice(5);
+  return s.validFrom <= s.validTo
+    ? md >= s.validFrom && md <= s.validTo
+    : md >= s.validFrom || md <= s.validTo;
+}
+
+/**
+ * Does this sailing run on the given date? Without a date we assume it does.
+ */
+export function runsOn(sailing, yyyy_mm_dd) {
+  if (!yyyy_mm_dd) return true;
+  if (Array.isArray(sailing.days) && sailing.days.length && !sailing.days.includes(weekdayOf(yyyy_mm_dd))) {
+    return false;
+  }
+  return inSeason(sailing, yyyy_mm_dd);
+}
+
+/** Classes a sailing sells: its own `classes`, else the route's; [] = not listed. */
+export const sailingClasses = (route, sailing) => sailing?.classes || route?.classes || [];
+
+/** Does a leg's sailing offer `ferryClass`? Legs without a class list are assumed to. */
+export const offersClass = (leg, ferryClass) => !ferryClass || !leg.classes?.length || leg.classes.includes(ferryClass);
+
+export const routeDurationMins = (route) => {
+  const s = (route.schedules || []).find((x) => toMins(x.depart) != null && toMins(x.arrive) != null);
+  if (s) return toMins(s.arrive) - toMins(s.depart);
+  return parseDurationMins(route.duration) ?? 120;
+};
+
+/**
+ * Cheapest chain of routes from → to: fewest legs first, then shortest sailing time.
+ * Returns [] when there is no sea connection at all.
+ */
+export function findFerryPath(ferries, from, to) {
+  if (!from || !to || from === to) return [];
+  const best = { [from]: { hops: 0, mins: 0, path: [] } };
+  const queue = [from];
+  while (queue.length) {
+    queue.sort((a, b) => best[a].hops - best[b].hops || best[a].mins - best[b].mins);
+    const here = queue.shift();
+    const cur = best[here];
+    ferries
+      .filter((r) => r.from === here)
+      .forEach((r) => {
+        const cand = { hops: cur.hops + 1, mins: cur.mins + routeDurationMins(r), path: [...cur.path, r] };
+        const prev = best[r.to];
+        if (!prev || cand.hops < prev.hops || (cand.hops === prev.hops && cand.mins < prev.mins)) {
+          best[r.to] = cand;
+          if (r.to !== to) queue.push(r.to);
+        }
+      });
+  }
+  return best[to]?.path || [];
+}
+
+/**
+ * First sailing on/after `date` that departs no earlier than `earliestMins`.
+ * Looks up to a week ahead; dayOffset says how many days later it leaves.
+ * Without a date every sailing counts as running daily, so a missed last
+ * sailing rolls over to the next day's first one. With `ferryClass`, sailings
+ * that don't sell it are skipped — unless no sailing in the window does.
+ */
+export function pickSailing(route, date, earliestMins = 0, ferryClass = null) {
+  const sorted = [...(route.schedules || [])].sort((a, b) => toMins(a.depart) - toMins(b.depart));
+  const find = (ok) => {
+    for (let offset = 0; offset <= (date ? MAX_WAIT_DAYS : 1); offset++) {
+      const d = date ? shiftDate(date, offset) : null;
+      const floor = offset === 0 ? earliestMins : 0;
+      const s = sorted.find((x) => ok(x) && runsOn(x, d) && (toMins(x.depart) ?? 0) >= floor);
+      if (s) return { sailing: s, dayOffset: offset };
+    }
+    return null;
+  };
+  const inClass = (x) => offersClass({ classes: sailingClasses(route, x) }, ferryClass);
+  return (ferryClass && find(inClass)) || find(() => true);
+}
+
+/**
+ * Plans the sea legs from one island to another for a trip date, on sailings that sell
+ * `ferryClass` where there are any.
+ * Each leg: { routeId, from, to, operator, depart, arrive, durationMins, dayOffset, scheduled, classes }
+ * dayOffset is relative to `date` (0 = same day). Unknown connections come back as one
+ * unscheduled leg so the itinerary still shows the move.
+ */
+export function planFerryLegs(ferries, from, to, date = null, ferryClass = null) {
+  const path = findFerryPath(ferries || [], from, to);
+  if (!path.length) {
+    return [{ routeId: null, from, to, operator: null, depart: null, arrive: null, durationMins: null, dayOffset: 0, scheduled: false }];
+  }
+
+  const legs = [];
+  let offset = 0;
+  let earliest = 0;
+  path.forEach((route) => {
+    const legDate = date ? shiftDate(date, offset) : null;
+    const pick = route.schedules?.length ? pickSailing(route, legDate, earliest, ferryClass) : null;
+    if (!pick) {
+      legs.push({
+        routeId: route.id, from: route.from, to: route.to, operator: null,
+        depart: null, arrive: null, durationMins: routeDurationMins(route),
+        dayOffset: offset, scheduled: false, classes: sailingClasses(route),
+      });
+      earliest = 0;
+      offset += 1;
+      return;
+    }
+    offset += pick.dayOffset;
+    const { sailing } = pick;
+    legs.push({
+      routeId: route.id,
+      from: route.from,
+      to: route.to,
+      operator: sailing.operator || null,
+      depart: sailing.depart,
+      arrive: sailing.arrive,
+      durationMins: toMins(sailing.arrive) - toMins(sailing.depart),
+      dayOffset: offset,
+      scheduled: true,
+      classes: sailingClasses(route, sailing),
+    });
+    earliest = toMins(sailing.arrive) + CONNECTION_BUFFER_MINS;
+  });
+  return legs;
+}
+
+/** Itinerary item for one planned leg. */
+export const ferryLegItem = (leg) => ({
+  type: "ferry",
+  name: `Ferry ${leg.from} → ${leg.to}`,
+  ...(leg.depart && leg.arrive ? { time: `${leg.depart}–${leg.arrive}` } : {}),
+  routeId: leg.routeId,
+  operator: leg.operator,
+  from: leg.from,
+  to: leg.to,
+  depart: leg.depart,
+  arrive: leg.arrive,
+  durationMins: leg.durationMins,
+  scheduled: leg.scheduled,
+  ...(leg.classes?.length ? { classes: leg.classes } : {}),
+});
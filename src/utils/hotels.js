@@ -0,0 +1,137 @@
+import { rateOn } from "./pricing.js";
+import { overnightIsland } from "./itinerary.js";
+
+/**
+ * Hotel catalog (public/data/hotels.json): one entry per property with
+ *   { id, name, island, tier, beachDistanceM, amenities: [id], photos: [url], brief,
+ *     rooms: [{ id, name, baseOccupancy, maxOccupancy, rates, mealPlans: { EP: 0, CP: n, ... } }] }
+ * Room `rates` are pricing-catalog rate lists (room only); each meal plan adds its
+ * supplement per room, per night. A plan missing from `mealPlans` isn't offered.
+ */
+
+export const MEAL_PLANS = [
+  { id: "EP", label: "Room only (EP)" },
+  { id: "CP", label: "Breakfast (CP)" },
+  { id: "MAP", label: "Breakfast & dinner (MAP)" },
+  { id: "AP", label: "All meals (AP)" },
+];
+
+export const AMENITIES = {
+  wifi: "Wi-Fi",
+  ac: "Air-conditioned",
+  pool: "Pool",
+  spa: "Spa",
+  restaurant: "Restaurant",
+  beachfront: "Beachfront",
+  seaView: "Sea view",
+  diving: "Dive centre",
+  transfers: "Jetty transfers",
+};
+
+export const HOTEL_SORTS = [
+  { id: "price", label: "Price: low to high" },
+  { id: "-price", label: "Price: high to low" },
+  { id: "beach", label: "Closest to the beach" },
+  { id: "name", label: "Name" },
+];
+
+export function hotelsByIsland(hotels) {
+  const map = {};
+  hotels.forEach((h) => (map[h.island] ||= []).push(h));
+  return map;
+}
+
+export const mealPlanLabel = (id) => MEAL_PLANS.find((m) => m.id === id)?.label || id;
+
+export const offeredMealPlans = (room) => MEAL_PLANS.filter((m) => room?.mealPlans?.[m.id] != null);
+
+/** Per-room price of one night in `room` on `mealPlan`, before date rules; null when the room has no rate that night. */
+export function roomNightRate(room, mealPlan, date) {
+  const rate = room ? rateOn(room.rates, date) : 0;
+  return rate == null ? null : rate + (Number(room?.mealPlans?.[mealPlan]) || 0);
+}
+
+// unpriced rooms sort after priced ones
+const rateOrLast = (room, date) => rateOn(room.rates, date) ?? Infinity;
+
+/** Occupancy limits of a room type over the catalog-wide defaults (pricing.json `hotels.occupancy`). */
+export const roomOccupancy = (room, defaults = {}) => ({
+  ...defaults,
+  ...(room?.baseOccupancy ? { baseOccupancy: room.baseOccupancy } : {}),
+  ...(room?.maxOccupancy ? { maxOccupancy: room.maxOccupancy } : {}),
+});
+
+/** Cheapest room-only night at the hotel ("from ₹…/night"); null when no room is priced on `date`. */
+export function fromPrice(hotel, date) {
+  const min = Math.min(...hotel.rooms.map((r) => rateOrLast(r, date)));
+  return Number.isFinite(min) ? min : null;
+}
+
+/** A sensible starting choice: the cheapest room, with breakfast when it's offered. */
+export function defaultPick(hotel) {
+  const room = hotel.rooms.reduce((a, b) => (rateOrLast(b) < rateOrLast(a) ? b : a));
+  const plans = offeredMealPlans(room);
+  return { hotelId: hotel.id, roomId: room.id, mealPlan: (plans.find((m) => m.id === "CP") || plans[0])?.id || "EP" };
+}
+
+/**
+ * filter: { tier?, mealPlan?, amenities?: [id], maxBeachM? } — every set field must match.
+ * sort: one of HOTEL_SORTS; prices are compared on `date`.
+ */
+export function findHotels(hotels, filter = {}, sort = "price", date = "") {
+  const list = hotels.filter(
+    (h) =>
+      (!filter.tier || h.tier === filter.tier) &&
+      (!filter.mealPlan || h.rooms.some((r) => r.mealPlans?.[filter.mealPlan] != null)) &&
+      (filter.amenities || []).every((a) => h.amenities.includes(a)) &&
+      (!filter.maxBeachM || h.beachDistanceM <= filter.maxBeachM)
+  );
+  const by = {
+    price: (a, b) => (fromPrice(a, date) ?? Infinity) - (fromPrice(b, date) ?? Infinity) || 0,
+    "-price": (a, b) => (fromPrice(b, date) ?? -Infinity) - (fromPrice(a, date) ?? -Infinity) || 0,
+    beach: (a, b) => a.beachDistanceM - b.beachDistanceM,
+    name: (a, b) => a.name.localeCompare(b.name),
+  };
+  return list.sort(by[sort] || by.price);
+}
+
+/**
+ * Resolve night `dayIdx`'s pick ({ hotelId, roomId, mealPlan }) against the catalog.
+ * Picks left over from an earlier plan (another island on that night) resolve to null;
+ * a room that's gone from the catalog (old draft, edited data) falls back to defaultPick.
+ */
+export function resolvePick(pick, island, hotelsById) {
+  const hotel = pick && hotelsById[pick.hotelId];
+  if (!hotel || hotel.island !== island || !hotel.rooms?.length) return null;
+  const kept = hotel.rooms.find((r) => r.id === pick.roomId);
+  const room = kept || hotel.rooms.find((r) => r.id === defaultPick(hotel).roomId);
+  const mealPlan = kept && room.mealPlans?.[pick.mealPlan] != null ? pick.mealPlan : defaultPick({ ...hotel, rooms: [room] }).mealPlan;
+  return { hotel, room, mealPlan };
+}
+
+/**
+ * Re-key night picks ({ [dayIdx]: pick }) after the days change. A day that is still in
+ * the plan (same object) keeps its pick wherever it moved; a new or edited day takes the
+ * pick of the night at the same position among that island's nights, and extra nights
+ * take the island's last pick. Nights on islands no longer stayed on lose their picks.
+ */
+export function carryRoomPicks(picks, prevDays, nextDays) {
+  if (prevDays === nextDays) return picks;
+  const byIsland = {}; // island → picks of its nights in order (undefined = none)
+  prevDays.forEach((day, i) => {
+    const island = overnightIsland(day);
+    if (island) (byIsland[island] ||= []).push(picks[i]);
+  });
+  const seen = {};
+  const out = {};
+  nextDays.forEach((day, j) => {
+    const island = overnightIsland(day);
+    if (!island) return;
+    const k = (seen[island] = (seen[island] ?? -1) + 1);
+    const list = byIsland[island] || [];
+    const i = prevDays.indexOf(day);
+    const pick = i !== -1 ? picks[i] : k < list.length ? list[k] : list.filter(Boolean).pop();
+    if (pick) out[j] = pick;
+  });
+  return out;
+}
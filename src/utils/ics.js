@@ -0,0 +1,121 @@
+/**
+ * iCalendar (RFC 5545) export of an itinerary. Timed items become Asia/Kolkata
+ * events; items without a known time (arrival, departure) become all-day events.
+ */
+const TZID = "Asia/Kolkata";
+const CRLF = "\r\n";
+
+// IST has no daylight saving, so one STANDARD block covers every date
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TZID}`,
+  "BEGIN:STANDARD",
+  "DTSTART:19700101T000000",
+  "TZOFFSETFROM:+0530",
+  "TZOFFSETTO:+0530",
+  "TZNAME:IST",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+const escapeText = (s) =>
+  String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      size = 0;
+    }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join(`${CRLF} `);
+}
+
+const dayDate = (startDate, i) => {
+  const d = new Date(`${startDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + i);
+  return d.toISOString().slice(0, 10).replace(/-/g, "");
+};
+const localTime = (date, hhmm) => `${date}T${hhmm.replace(":", "")}00`;
+const stamp = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// built only from trip data, so importing a re-export updates the events instead of
+// duplicating them; stops and adventures keep theirs when moved to another day
+const itemKey = (it, i) =>
+  (it.type === "location" || it.type === "activity"
+    ? `${it.type}-${it.ref}${it.part ? `-${it.part}` : ""}`
+    : `${it.type}-${i}${it.type === "ferry" ? `-${it.from}-${it.to}` : ""}`
+  ).replace(/[^A-Za-z0-9_-]+/g, "_");
+
+/**
+ * Build the .ics text. `schedules[i]` is scheduleDay() output for day i; `describe(item)`
+ * gives extra description text (e.g. the location brief). Returns null without a start date.
+ */
+export function buildItineraryIcs({ days, schedules = [], startDate, labelFor = (it) => it.name, describe = () => "", now = new Date() }) {
+  if (!startDate) return null;
+  const uidBase = startDate.replace(/-/g, "");
+  const used = {};
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Andaman Islands Planner//Itinerary//EN", "CALSCALE:GREGORIAN", "METHOD:PUBLISH", ...VTIMEZONE];
+
+  days.forEach((day, i) => {
+    const date = dayDate(startDate, i);
+    const times = new Map(
+      (schedules[i]?.entries || []).filter((e) => e.kind === "item").map((e) => [e.itemIndex, e])
+    );
+    day.items.forEach((it, k) => {
+      if (!["location", "activity", "ferry", "arrival", "departure"].includes(it.type)) return;
+      const t = times.get(k);
+      const when = t
+        ? [
+            `DTSTART;TZID=${TZID}:${localTime(date, t.start)}`,
+            // a late evening that runs past midnight ends on the next date
+            `DTEND;TZID=${TZID}:${localTime(t.end <= t.start ? dayDate(startDate, i + 1) : date, t.end)}`,
+          ]
+        : [`DTSTART;VALUE=DATE:${date}`, `DTEND;VALUE=DATE:${dayDate(startDate, i + 1)}`];
+      const description = [`Day ${i + 1} — ${day.island}`, describe(it)].filter(Boolean).join("\n");
+      const key = itemKey(it, i);
+      used[key] = (used[key] || 0) + 1;
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${uidBase}-${key}${used[key] > 1 ? `-${used[key]}` : ""}@andaman-planner`,
+        `DTSTAMP:${stamp(now)}`,
+        ...when,
+        `SUMMARY:${escapeText(labelFor(it))}`,
+        `LOCATION:${escapeText(it.type === "ferry" ? `${it.from} jetty` : it.island || day.island)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        ...(t ? [] : ["TRANSP:TRANSPARENT"]),
+        "END:VEVENT"
+      );
+    });
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join(CRLF) + CRLF;
+}
+
+/** Offer the .ics text as a download. */
+export function downloadIcs(text, filename = "andaman-itinerary.ics") {
+  const url = URL.createObjectURL(new Blob([text], { type: "text/calendar;charset=utf-8" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -1,4 +1,87 @@
-function orderByBestTime(items) {
+import { addDays } from "./normalize.js";
+import { planFerryLegs, ferryLegItem, toMins } from "./ferries.js";
+import { packDaysByRoute } from "./routing.js";
+
+const PORT_BLAIR = "Port Blair (South Andaman)";
+export const DAY_BUDGET_HRS = 7;
+const SIGHTSEEING_ENDS = "18:00"; // roughly sunset; nothing new starts after this
+const CHECKIN_BUFFER_HRS = 1; // jetty → hotel → out again
+const SHORT_STOP_HRS = 2; // what we're willing to squeeze into a ferry afternoon
+
+export const DEFAULT_ISLANDS = [
+  PORT_BLAIR,
+  "Havelock (Swaraj Dweep)",
+  "Neil (Shaheed Dweep)",
+  "Baratang (Middle Andaman)",
+  "Long Island (Middle Andaman)",
+  "Rangat (Middle Andaman)",
+  "Mayabunder (Middle Andaman)",
+  "Diglipur (North Andaman)",
+  "Little Andaman",
+];
+
+const nameOf = (l) => l?.name || l?.location || "";
+const durOf = (l) =>
+  Number.isFinite(l?.durationHrs)
+    ? l.durationHrs
+    : Number.isFinite(l?.typicalHours)
+    ? l.typicalHours
+    : 2;
+
+const isEveningFriendly = (l) =>
+  (l.bestTimes || []).some((t) => /evening|sunset/i.test(String(t))) ||
+  /sunset|evening|night|market|café|cafe|show|promenade/i.test(`${nameOf(l)} ${l.brief || ""}`);
+
+/** Itinerary item for a (normalised) location. */
+export const locationItem = (x) => ({
+  type: "location",
+  ref: x.id,
+  name: nameOf(x),
+  island: x.island,
+  durationHrs: durOf(x),
+  bestTimes: x.bestTimes || [],
+  ...(x.suggested ? { suggested: true } : {}),
+});
+
+/**
+ * Itinerary item for an add-on activity, placed on one of its islands. Multi-day
+ * activities (restrictions.days) get one item per day — `part` 2…days are the
+ * continuations — each holding that day's share of the hours, at most a full day.
+ */
+export const activityItem = (a, island, part = 1) => {
+  const days = Math.max(1, a.restrictions?.days || 1);
+  const hrs = Number.isFinite(a.durationHrs) ? a.durationHrs : 2;
+  return {
+    type: "activity",
+    ref: a.id,
+    name: a.name,
+    island,
+    durationHrs: Math.min(DAY_BUDGET_HRS, Math.round((hrs / days) * 2) / 2),
+    ...(days > 1 ? { days } : {}),
+    ...(part > 1 ? { part } : {}),
+  };
+};
+
+/** Sightseeing hours planned for a day: stops plus adventures (ferries don't count). */
+export const dayHours = (day) =>
+  day.items
+    .filter((it) => it.type === "location" || it.type === "activity")
+    .reduce((sum, it) => sum + durOf(it), 0);
+
+const dayTransport = (island, stops) =>
+  stops >= 3 ? "Day Cab" : /Havelock|Neil/.test(island) ? "Scooter" : "Point-to-Point";
+
+/**
+ * Where the traveller sleeps after this day: the far end of the day's last
+ * ferry, else the day's island. Departure day has no night.
+ */
+export function overnightIsland(day) {
+  if (day.items.some((i) => i.type === "departure")) return null;
+  const lastFerry = day.items.filter((i) => i.type === "ferry").pop();
+  return lastFerry?.to || day.island;
+}
+
+export function orderByBestTime(items) {
   const rank = (it) => {
     const arr = (it.bestTimes || []).map((x) => String(x).toLowerCase());
     if (arr.some((t) => t.includes("morning") || t.includes("sunrise"))) return 0;
@@ -10,24 +93,15 @@ function orderByBestTime(items) {
 }
 
 /**
- * Packs ~7h/day & inserts ferries, Day 1 = Airport, end day = Airport Departure
+ * Packs ~7h/day & inserts ferries, Day 1 = Airport, end day = Airport Departure.
+ * With `ferries` (ferries.json) each island hop becomes real sailings picked for
+ * the trip date and `ferryClass`; hops without a direct route are chained through a hub.
  */
-export function generateItineraryDays(selectedLocs, startFromPB = true) {
-  const DEFAULT_ISLANDS = [
-    "Port Blair (South Andaman)",
-    "Havelock (Swaraj Dweep)",
-    "Neil (Shaheed Dweep)",
-    "Long Island (Middle Andaman)",
-    "Rangat (Middle Andaman)",
-    "Mayabunder (Middle Andaman)",
-    "Diglipur (North Andaman)",
-    "Little Andaman",
-  ];
-
+export function generateItineraryDays(selectedLocs, startFromPB = true, { ferries = [], startDate = "", ferryClass = null } = {}) {
   const days = [];
-  // Day 1 starts with Airport Arrival in Port Blair
+  // Day 1: Airport arrival (locked)
   days.push({
-    island: "Port Blair (South Andaman)",
+    island: PORT_BLAIR,
     items: [
       { type: "arrival", name: "Arrival - Veer Savarkar Intl. Airport (IXZ)" },
       { type: "transfer", name: "Airport → Hotel (Port Blair)" },
@@ -37,100 +111,158 @@ export function generateItineraryDays(selectedLocs, startFromPB = true) {
 
   if (!selectedLocs.length) {
     days.push({
-      island: "Port Blair (South Andaman)",
+      island: PORT_BLAIR,
       items: [{ type: "departure", name: "Airport Departure (IXZ) — Fly Out" }],
       transport: "—",
     });
     return days;
   }
 
+  // one day per sailing date; idle days in between when a route doesn't run
+  const pushFerry = (from, to) => {
+    const legs = planFerryLegs(ferries, from, to, startDate ? addDays(startDate, days.length) : null, ferryClass);
+    let offset = -1;
+    legs.forEach((leg) => {
+      if (leg.dayOffset !== offset) {
+        for (let d = offset + 1; d < leg.dayOffset; d++) {
+          days.push({ island: leg.from, items: [], transport: "Point-to-Point" });
+        }
+        days.push({ island: leg.from, items: [], transport: "—" });
+        offset = leg.dayOffset;
+      }
+      days[days.length - 1].items.push(ferryLegItem(leg));
+    });
+  };
+
   // group by island
   const byIsland = {};
-  selectedLocs.forEach((l) => {
-    (byIsland[l.island] ||= []).push(l);
-  });
+  selectedLocs.forEach((l) => ((byIsland[l.island] ||= []).push(l)));
 
-  // sort islands; PB first if present
+  // sort and force PB first
   let order = Object.keys(byIsland).sort(
     (a, b) => DEFAULT_ISLANDS.indexOf(a) - DEFAULT_ISLANDS.indexOf(b)
   );
   if (startFromPB) {
-    const pb = "Port Blair (South Andaman)";
-    if (order.includes(pb)) order = [pb, ...order.filter((x) => x !== pb)];
-    else order = [pb, ...order]; // ensure PB day exists for return logic
+    if (order.includes(PORT_BLAIR)) order = [PORT_BLAIR, ...order.filter((x) => x !== PORT_BLAIR)];
+    else order = [PORT_BLAIR, ...order];
+  } else if (order[0] !== PORT_BLAIR) {
+    pushFerry(PORT_BLAIR, order[0]);
   }
 
-  // per island → bucket into days by ~7h (aim 2–4 stops/day)
+  // build days (~7h/day incl. drives), nearby stops together in route order
   order.forEach((island, idx) => {
     const locs = orderByBestTime(byIsland[island] || []);
-    let dayBucket = [];
-    let timeUsed = 0;
-
-    const flushDay = () => {
-      if (!dayBucket.length) return;
-      if (dayBucket.length === 1 && locs.length) {
-        const next = locs.shift();
-        if (next) {
-          const dur = Number.isFinite(next.durationHrs) ? next.durationHrs : 2;
-          dayBucket.push(next);
-          timeUsed += dur;
-        }
+
+    // same-day sightseeing: fill the afternoon after a ferry lands here
+    const ferryDay = days[days.length - 1];
+    const landed = ferryDay.items.filter((i) => i.type === "ferry").pop();
+    if (landed?.to === island && toMins(landed.arrive) != null) {
+      let left = Math.min(
+        DAY_BUDGET_HRS,
+        (toMins(SIGHTSEEING_ENDS) - toMins(landed.arrive)) / 60 - CHECKIN_BUFFER_HRS
+      );
+      const picks = [];
+      [...locs]
+        .sort((a, b) => isEveningFriendly(b) - isEveningFriendly(a))
+        .forEach((x) => {
+          const d = durOf(x);
+          if (d > SHORT_STOP_HRS || d > left) return;
+          picks.push(x);
+          left -= d;
+          locs.splice(locs.indexOf(x), 1);
+        });
+      if (picks.length) {
+        picks.sort((a, b) => isEveningFriendly(a) - isEveningFriendly(b));
+        ferryDay.items.push(...picks.map(locationItem));
+        ferryDay.transport = dayTransport(island, picks.length);
       }
-      days.push({
-        island,
-        items: dayBucket.map((x) => ({
-          type: "location",
-          ref: x.id,
-          name: x.name,
-          durationHrs: x.durationHrs ?? 2,
-          bestTimes: x.bestTimes || [],
-        })),
-        transport:
-          dayBucket.length >= 3
-            ? "Day Cab"
-            : /Havelock|Neil/.test(island)
-            ? "Scooter"
-            : "Point-to-Point",
-      });
-      dayBucket = [];
-      timeUsed = 0;
-    };
-
-    while (locs.length) {
-      const x = locs.shift();
-      const dur = Number.isFinite(x.durationHrs) ? x.durationHrs : 2;
-      const wouldBe = timeUsed + dur;
-      if (dayBucket.length >= 4 || wouldBe > 7) flushDay();
-      dayBucket.push(x);
-      timeUsed += dur;
     }
-    flushDay();
 
-    // insert ferry leg if moving to next island
-    const nextIsland = order[idx + 1];
-    if (nextIsland) {
+    packDaysByRoute(locs, island, { budgetHrs: DAY_BUDGET_HRS, durOf }).forEach((bucket) => {
+      // route order, but sunset/evening stops still close the day
+      const ordered = [...bucket].sort((a, b) => isEveningFriendly(a) - isEveningFriendly(b));
       days.push({
         island,
-        items: [{ type: "ferry", name: `Ferry ${island} → ${nextIsland}`, time: "08:00–09:30" }],
-        transport: "—",
+        items: ordered.map(locationItem),
+        transport: dayTransport(island, bucket.length),
       });
-    }
+    });
+
+    const nextIsland = order[idx + 1];
+    if (nextIsland) pushFerry(island, nextIsland);
   });
 
-  // Force final day = Airport Departure in Port Blair
-  const lastIsland = days[days.length - 1]?.island;
-  if (lastIsland !== "Port Blair (South Andaman)") {
-    days.push({
-      island: lastIsland || "—",
-      items: [{ type: "ferry", name: `Ferry ${lastIsland} → Port Blair (South Andaman)` }],
-      transport: "—",
-    });
-  }
+  // return to PB + departure
+  const lastIsland = order[order.length - 1];
+  if (lastIsland !== PORT_BLAIR) pushFerry(lastIsland, PORT_BLAIR);
   days.push({
-    island: "Port Blair (South Andaman)",
+    island: PORT_BLAIR,
     items: [{ type: "departure", name: "Airport Departure (IXZ) — Fly Out" }],
     transport: "—",
   });
 
   return days;
 }
+
+/**
+ * Fitting mode: plan to exactly `targetNights` nights (targetNights + 1 days).
+ * Selected stops are added in priority order (explicit `priority`, else the
+ * order in `priorityIds`) and kept only while the trip still fits; the rest come
+ * back in `leftOut` with a reason. Spare days are filled with unselected stops
+ * from `pool` on islands already in the trip, then with free days in Port Blair.
+ */
+export function fitItineraryToNights(selectedLocs, targetNights, startFromPB = true, opts = {}) {
+  const { priorityIds = [], pool = [] } = opts;
+  const targetDays = Math.max(1, Math.floor(targetNights)) + 1;
+  const gen = (locs) => generateItineraryDays(locs, startFromPB, opts);
+
+  const rank = (l) => {
+    const i = priorityIds.indexOf(l.id);
+    return i === -1 ? priorityIds.length : i;
+  };
+  const ranked = [...selectedLocs].sort(
+    (a, b) => (b.priority ?? 0) - (a.priority ?? 0) || rank(a) - rank(b)
+  );
+
+  let kept = [];
+  let days = gen(kept);
+  const leftOut = [];
+  ranked.forEach((loc) => {
+    const tryDays = gen([...kept, loc]);
+    if (tryDays.length <= targetDays) {
+      kept = [...kept, loc];
+      days = tryDays;
+      return;
+    }
+    const newIsland = !kept.some((k) => k.island === loc.island) && loc.island !== PORT_BLAIR;
+    leftOut.push({
+      id: loc.id,
+      name: nameOf(loc),
+      island: loc.island,
+      reason: newIsland
+        ? `Getting to ${loc.island} needs ${tryDays.length - days.length} more day(s)`
+        : `No time left on ${loc.island} within ${targetDays - 1} night(s)`,
+    });
+  });
+
+  // spare days → same-island suggestions; a suggestion is only added when it fills a day
+  // of its own, so the traveller's days aren't stuffed with stops they didn't pick
+  const islands = new Set(kept.map((l) => l.island));
+  const pickedIds = new Set(selectedLocs.map((l) => l.id));
+  const candidates = pool.filter((l) => islands.has(l.island) && !pickedIds.has(l.id));
+  for (const c of candidates) {
+    if (days.length >= targetDays) break;
+    const tryDays = gen([...kept, { ...c, suggested: true }]);
+    if (tryDays.length > days.length && tryDays.length <= targetDays) {
+      kept = [...kept, { ...c, suggested: true }];
+      days = tryDays;
+    }
+  }
+
+  // still short → free days in PB before flying out
+  while (days.length < targetDays) {
+    days.splice(days.length - 1, 0, { island: PORT_BLAIR, items: [], transport: "Point-to-Point" });
+  }
+
+  return { days, leftOut };
+}
@@ -0,0 +1,169 @@
+/**
+ * Request-to-Book leads: contact validation, the POST payload, delivery with
+ * retry/backoff and an offline queue (localStorage) flushed when the browser
+ * comes back online. The endpoint is VITE_LEAD_ENDPOINT; only the dev server falls back
+ * to its /api/leads mock, so a production build without it can't take requests (the
+ * build warns, and submitLead answers "unavailable"). To try the mock in `vite preview`,
+ * build with VITE_LEAD_ENDPOINT=/api/leads.
+ * VITE_BOOKING_PHONE / VITE_BOOKING_WHATSAPP (digits with country code) are the offline
+ * fallback the customer is pointed to when a request can't be sent.
+ */
+export const LEAD_ENDPOINT = import.meta.env?.VITE_LEAD_ENDPOINT || (import.meta.env?.DEV ? "/api/leads" : null);
+export const BOOKING_CONTACT = {
+  phone: import.meta.env?.VITE_BOOKING_PHONE || null,
+  whatsapp: import.meta.env?.VITE_BOOKING_WHATSAPP || null,
+};
+export const LEAD_SCHEMA = "andaman-lead/1";
+const QUEUE_KEY = "andaman-planner:lead-queue";
+const RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+
+/** "+91 98765-43210", "09876543210", "919876543210" → "+919876543210"; null if not an Indian mobile. */
+export function normalizeIndianPhone(input) {
+  let digits = String(input || "").replace(/[\s\-().]/g, "");
+  if (digits.startsWith("+91")) digits = digits.slice(3);
+  else if (/^91\d{10}$/.test(digits)) digits = digits.slice(2);
+  else if (/^0\d{10}$/.test(digits)) digits = digits.slice(1);
+  return /^[6-9]\d{9}$/.test(digits) ? `+91${digits}` : null;
+}
+
+/** Field → message for anything invalid; empty object when the contact is fine. */
+export function validateContact({ name, phone, email }) {
+  const errors = {};
+  if (!String(name || "").trim()) errors.name = "Please enter your name.";
+  if (!normalizeIndianPhone(phone)) errors.phone = "Enter a 10-digit Indian mobile number (+91).";
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || "").trim())) errors.email = "Enter a valid email address.";
+  return errors;
+}
+
+/** Short reference shown to the customer and sent along, so a retried lead isn't booked twice. */
+export const newLeadReference = () =>
+  `AND-${Date.now().toString(36).slice(-5).toUpperCase()}${Math.random().toString(36).slice(2, 5).toUpperCase()}`;
+
+/**
+ * The JSON body POSTed to the endpoint.
+ * quote: { startDate, pax: { adults, childAges, infants }, days, hotels, lineItems: [{ label, amount }], total, totalRange?, currency, addons }
+ */
+export function buildLeadPayload({ reference, contact, draftId = null, quote }) {
+  return {
+    schema: LEAD_SCHEMA,
+    reference,
+    draftId,
+    createdAt: new Date().toISOString(),
+    contact: {
+      name: contact.name.trim(),
+      phone: normalizeIndianPhone(contact.phone),
+      email: contact.email.trim(),
+      notes: (contact.notes || "").trim(),
+    },
+    trip: {
+      startDate: quote.startDate || null,
+      pax: quote.pax,
+      days: quote.days,
+      hotels: quote.hotels || [], // [{ island, hotelId, hotel, roomId, room, mealPlan, rooms, nights }]
+      addons: quote.addons,
+    },
+    pricing: {
+      currency: quote.currency || "INR",
+      lineItems: quote.lineItems,
+      total: quote.total,
+      ...(quote.totalRange ? { totalRange: quote.totalRange } : {}), // no travel dates yet
+    },
+  };
+}
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class LeadRejected extends Error {}
+
+async function postOnce(payload, endpoint) {
+  const res = await fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Idempotency-Key": payload.reference },
+    body: JSON.stringify(payload),
+  });
+  // 4xx won't get better on retry
+  if (res.status >= 400 && res.status < 500) throw new LeadRejected(`Lead rejected (${res.status})`);
+  if (!res.ok) throw new Error(`Lead endpoint ${res.status}`);
+  const body = await res.json().catch(() => ({}));
+  return body.reference || payload.reference;
+}
+
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+/**
+ * Send a lead, retrying server/network failures with exponential backoff.
+ * Resolves { status: "sent", reference } | { status: "queued", reference, reason: "offline" | "server" }
+ * (it will be resent later) | { status: "rejected", reference, error } | { status: "unavailable",
+ * reference } (no endpoint configured). A successful send also retries any queued leads.
+ */
+export async function submitLead(payload, { endpoint = LEAD_ENDPOINT, retries = RETRIES } = {}) {
+  if (!endpoint) {
+    console.error("[leads] VITE_LEAD_ENDPOINT is not set — Request to Book can't send leads in this build");
+    return { status: "unavailable", reference: payload.reference };
+  }
+  if (isOffline()) {
+    enqueueLead(payload);
+    return { status: "queued", reference: payload.reference, reason: "offline" };
+  }
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const reference = await postOnce(payload, endpoint);
+      flushLeadQueue({ endpoint }); // the server is reachable again
+      return { status: "sent", reference };
+    } catch (e) {
+      if (e instanceof LeadRejected) return { status: "rejected", reference: payload.reference, error: e.message };
+      if (attempt >= retries || isOffline()) {
+        enqueueLead(payload);
+        return { status: "queued", reference: payload.reference, reason: isOffline() ? "offline" : "server" };
+      }
+      await wait(BASE_DELAY_MS * 2 ** attempt);
+    }
+  }
+}
+
+const readQueue = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+const writeQueue = (q) => {
+  try {
+    window.localStorage.setItem(QUEUE_KEY, JSON.stringify(q));
+  } catch {
+    // storage blocked — a queued lead can't outlive this call
+  }
+};
+
+export function enqueueLead(payload) {
+  writeQueue([...readQueue().filter((p) => p.reference !== payload.reference), payload]);
+}
+
+export const queuedLeadCount = () => readQueue().length;
+
+// the flush in progress: `online`, mount, the retry timer and a successful send can all
+// start one, and two at once would post the same queued leads twice
+let flushing = null;
+
+/** Resend queued leads (one attempt each); returns how many went through. */
+export function flushLeadQueue({ endpoint = LEAD_ENDPOINT } = {}) {
+  if (isOffline() || !endpoint) return Promise.resolve(0);
+  if (!flushing) flushing = sendQueued(endpoint).finally(() => (flushing = null));
+  return flushing;
+}
+
+async function sendQueued(endpoint) {
+  let sent = 0;
+  for (const payload of readQueue()) {
+    try {
+      await postOnce(payload, endpoint);
+      sent += 1;
+    } catch (e) {
+      if (!(e instanceof LeadRejected)) continue; // keep for next time
+    }
+    writeQueue(readQueue().filter((p) => p.reference !== payload.reference));
+  }
+  return sent;
+}
@@ -10,6 +10,9 @@ export const addDays = (yyyy_mm_dd, n) => {
   return d.toISOString().slice(0, 10);
 };
 
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+export const weekdayOf = (yyyy_mm_dd) => WEEKDAYS[new Date(`${yyyy_mm_dd}T00:00:00Z`).getUTCDay()];
+
 export const slugify = (s = "") =>
   s
     .toLowerCase()
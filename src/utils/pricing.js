@@ -0,0 +1,51 @@
+/**
+ * Lookups into the pricing catalog (public/data/pricing.json). Every rate is a list
+ * of { amount, validFrom?, validTo? } entries with inclusive ISO dates; per-island
+ * rates are maps keyed by island name with a "default" entry.
+ */
+export const EMPTY_PRICING = {
+  currency: { code: "INR", locale: "en-IN" },
+  travellers: { childMaxAge: 11 }, // see utils/travellers
+  ferries: { classMultipliers: {}, paxFactors: {}, defaultFare: [], routes: {} },
+  cabs: { defaultModel: null, models: [] },
+  pointToPoint: { ratePerHop: {} },
+  scooter: { dayRate: {} },
+  activities: { paxFactors: {} },
+  hotels: { occupancy: {} }, // room rates are in hotels.json (see utils/hotels)
+  rules: [], // see utils/pricingRules
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Amount of the first entry in effect on `date` (YYYY-MM-DD, default today); null when
+ * none is — the date isn't priced yet, so callers show "price on request" instead of ₹0.
+ */
+export function rateOn(entries, date = "") {
+  const on = date || today();
+  const hit = (entries || []).find((e) => (!e.validFrom || e.validFrom <= on) && (!e.validTo || on <= e.validTo));
+  return hit ? Number(hit.amount) || 0 : null;
+}
+
+const islandRate = (byIsland = {}, island, date) => rateOn(byIsland[island] || byIsland.default, date);
+
+/** Economy fare of a ferry item (its routeId, else the default) times the class multiplier; null if unpriced. */
+export function ferryFare(pricing, item, { date, ferryClass }) {
+  const f = pricing.ferries;
+  const base = rateOn(f.routes[item.routeId] || f.defaultFare, date);
+  return base == null ? null : Math.round(base * (f.classMultipliers[ferryClass] ?? 1));
+}
+
+export const cabModels = (pricing) => pricing.cabs.models;
+
+export const defaultCabModelId = (pricing) => pricing.cabs.defaultModel || pricing.cabs.models[0]?.id || null;
+
+/** Day rate of a cab model on an island; unknown models price as the first one. */
+export function cabDayRate(pricing, modelId, island, date) {
+  const model = pricing.cabs.models.find((m) => m.id === modelId) || pricing.cabs.models[0];
+  return model ? islandRate(model.dayRate, island, date) : null;
+}
+
+export const p2pRatePerHop = (pricing, island, date) => islandRate(pricing.pointToPoint.ratePerHop, island, date);
+
+export const scooterDayRate = (pricing, island, date) => islandRate(pricing.scooter.dayRate, island, date);
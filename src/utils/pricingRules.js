@@ -0,0 +1,81 @@
+import { weekdayOf } from "./normalize.js";
+
+/**
+ * Date-based pricing rules from pricing.json `rules`:
+ *   { id, label, type, appliesTo: ["hotel" | "ferry"], from?, to?, islands?, ... }
+ * `from`/`to` are inclusive — "MM-DD" repeats every year (and may wrap past New Year),
+ * "YYYY-MM-DD" is one specific range. Types:
+ *   surcharge { percent }            — peak dates
+ *   weekend   { percent, weekdays }  — e.g. Fri/Sat nights
+ *   minStay   { nights }             — stays touching the range must be this long
+ *   blackout                         — can't be booked on those dates
+ * Percentages of matching rules add up (20% + 10% = +30% on the base rate).
+ */
+
+export function inDateRange(date, from, to) {
+  if (!from && !to) return true;
+  if (/^\d{4}-/.test(from || to)) return (!from || from <= date) && (!to || date <= to);
+  const md = date.slice(5);
+  const a = from || "01-01";
+  const b = to || "12-31";
+  return a <= b ? a <= md && md <= b : md >= a || md <= b;
+}
+
+const matches = (rule, category, date, island) =>
+  (rule.appliesTo || []).includes(category) &&
+  (!rule.islands || rule.islands.includes(island)) &&
+  inDateRange(date, rule.from, rule.to) &&
+  (rule.type !== "weekend" || (rule.weekdays || ["Fri", "Sat"]).includes(weekdayOf(date)));
+
+/**
+ * Price one night (hotel) or leg (ferry) on its calendar date.
+ * Returns { amount, applied: [{ id, label, percent }], blackout: label | null };
+ * amount is null when `base` is (no rate on that date) or a blackout makes the date
+ * unbookable — callers show those as "price on request".
+ */
+export function applyRules(base, { category, date, island }, rules = []) {
+  if (!date) return { amount: base, applied: [], blackout: null };
+  const hits = rules.filter((r) => matches(r, category, date, island));
+  const applied = hits
+    .filter((r) => r.type === "surcharge" || r.type === "weekend")
+    .map((r) => ({ id: r.id, label: r.label, percent: Number(r.percent) || 0 }));
+  const pct = applied.reduce((s, r) => s + r.percent, 0);
+  const blackout = hits.find((r) => r.type === "blackout");
+  const amount = base == null || blackout ? null : Math.round(base * (1 + pct / 100));
+  return { amount, applied, blackout: blackout ? blackout.label : null };
+}
+
+/** Min-stay and blackout problems for consecutive nights on one island ([{ id, message }]). */
+export function stayIssues(dates, island, rules = []) {
+  const issues = [];
+  rules
+    .filter((r) => r.type === "minStay")
+    .forEach((r) => {
+      const touching = dates.filter((d) => matches(r, "hotel", d, island));
+      if (touching.length && dates.length < r.nights) {
+        issues.push({ id: r.id, message: `${r.label}: minimum ${r.nights} nights on ${island} (you have ${dates.length}).` });
+      }
+    });
+  dates.forEach((d) => {
+    const b = applyRules(0, { category: "hotel", date: d, island }, rules).blackout;
+    if (b) issues.push({ id: `blackout-${d}`, message: `${b}: no hotel bookings on ${island} for the night of ${d}.` });
+  });
+  return issues;
+}
+
+/**
+ * Cheapest and dearest result of `totalFor(startDate)` over every start date in the
+ * coming year — used when the traveller hasn't picked dates yet.
+ */
+export function priceRange(totalFor, { from = new Date(), days = 365 } = {}) {
+  let min = Infinity;
+  let max = -Infinity;
+  const d = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  for (let i = 0; i < days; i++) {
+    const t = totalFor(d.toISOString().slice(0, 10));
+    if (t < min) min = t;
+    if (t > max) max = t;
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return Number.isFinite(min) ? { min, max } : { min: 0, max: 0 };
+}
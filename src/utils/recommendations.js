@@ -0,0 +1,86 @@
+/**
+ * Adventure recommendations for the selected locations, ranked by how they relate:
+ *   1. direct links — location_adventures.json and each location's suggestedAdventureIds
+ *   2. same island as a selected location
+ *   3. mood overlap with the selected locations (activities on other trip islands)
+ * Within a tier, more linked/same-island picks and more shared moods rank higher.
+ *
+ * `recommendActivities(selectedLocs, activities, { links, tripIslands })` →
+ *   [{ activity, tier: "linked" | "island" | "mood", reasons: [string], related: [location], moods: [string] }]
+ * `activities` need `moods` (App infers them when the data has none); `tripIslands` are
+ * the itinerary's islands, so a Port Blair transit day can still surface Port Blair ideas.
+ */
+
+const TIER_SCORE = { linked: 3000, island: 2000, mood: 1000 };
+
+// "A", "A and B", "A, B and 2 more"
+export const listNames = (names, max = 2) => {
+  if (names.length <= 1) return names[0] || "";
+  if (names.length <= max) return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+  return `${names.slice(0, max).join(", ")} and ${names.length - max} more`;
+};
+
+/**
+ * Direct links from both sources: activity id → ids of the `locations` that link to it
+ * (location_adventures.json `links` and each location's suggestedAdventureIds).
+ */
+export function activityLinks(locations, links = []) {
+  const out = {};
+  const link = (id, locId) => {
+    const list = (out[id] ||= []);
+    if (!list.includes(locId)) list.push(locId);
+  };
+  locations.forEach((loc) => {
+    (loc.suggestedAdventureIds || []).forEach((id) => link(id, loc.id));
+    links.filter((m) => m.locationId === loc.id).forEach((m) => m.adventureIds.forEach((id) => link(id, loc.id)));
+  });
+  return out;
+}
+
+export function recommendActivities(selectedLocs, activities, { links = [], tripIslands = [] } = {}) {
+  if (!selectedLocs.length) return [];
+
+  // activity id → selected locations that link to it directly
+  const linked = activityLinks(selectedLocs, links);
+  const byId = Object.fromEntries(selectedLocs.map((l) => [l.id, l]));
+
+  // how many selected locations carry each mood
+  const moodCounts = {};
+  selectedLocs.forEach((l) => (l.moods || []).forEach((m) => (moodCounts[m] = (moodCounts[m] || 0) + 1)));
+  const islands = new Set([...selectedLocs.map((l) => l.island), ...tripIslands]);
+
+  const ranked = [];
+  activities.forEach((activity) => {
+    const onIslands = activity.islands || [];
+    const moods = (activity.moods || []).filter((m) => moodCounts[m]);
+    const moodScore = moods.reduce((s, m) => s + moodCounts[m], 0);
+    const direct = (linked[activity.id] || []).map((id) => byId[id]);
+    const sameIsland = selectedLocs.filter((l) => onIslands.includes(l.island));
+
+    let tier;
+    let related;
+    const reasons = [];
+    if (direct.length) {
+      tier = "linked";
+      related = direct;
+      reasons.push(`Because you picked ${listNames(direct.map((l) => l.name))}`);
+    } else if (sameIsland.length) {
+      tier = "island";
+      related = sameIsland;
+      reasons.push(`On ${sameIsland[0].island}, near ${listNames(sameIsland.map((l) => l.name))}`);
+    } else if (moodScore && onIslands.some((i) => islands.has(i))) {
+      tier = "mood";
+      related = selectedLocs.filter((l) => (l.moods || []).some((m) => moods.includes(m)));
+    } else {
+      return;
+    }
+    if (moods.length) reasons.push(`Matches the ${listNames(moods, 3)} mood of your picks`);
+
+    const score = TIER_SCORE[tier] + related.length * 10 + moodScore;
+    ranked.push({ activity, tier, reasons, related, moods, score });
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score || a.activity.name.localeCompare(b.activity.name))
+    .map(({ score, ...rec }) => rec);
+}
@@ -0,0 +1,109 @@
+/**
+ * Offline drive-time estimates: straight-line (haversine) distance stretched by a
+ * per-island road factor, at a typical island driving speed. No network needed.
+ */
+export const DEFAULT_DRIVE_MINS = 30; // when a stop has no coordinates
+const SAME_SITE_KM = 0.3; // e.g. Cellular Jail → Light & Sound Show
+const MAX_HOP_MINS = 40; // don't pull a stop further than this into a day's cluster
+
+const ISLAND_ROADS = {
+  "Port Blair (South Andaman)": { factor: 1.35, kmh: 28 },
+  "Havelock (Swaraj Dweep)": { factor: 1.3, kmh: 22 },
+  "Neil (Shaheed Dweep)": { factor: 1.3, kmh: 20 },
+  "Diglipur (North Andaman)": { factor: 1.4, kmh: 28 },
+  "Little Andaman": { factor: 1.4, kmh: 25 },
+};
+const DEFAULT_ROAD = { factor: 1.4, kmh: 25 };
+
+// where a day on the island starts and ends (main jetty / town)
+export const ISLAND_HUBS = {
+  "Port Blair (South Andaman)": { lat: 11.6745, lng: 92.747 },
+  "Havelock (Swaraj Dweep)": { lat: 12.0305, lng: 93.001 },
+  "Neil (Shaheed Dweep)": { lat: 11.834, lng: 93.033 },
+  "Diglipur (North Andaman)": { lat: 13.253, lng: 93.003 },
+  "Little Andaman": { lat: 10.588, lng: 92.555 },
+  "Long Island (Middle Andaman)": { lat: 12.39, lng: 92.93 },
+  "Rangat (Middle Andaman)": { lat: 12.505, lng: 92.94 },
+  "Mayabunder (Middle Andaman)": { lat: 12.92, lng: 92.9 },
+  "Baratang (Middle Andaman)": { lat: 12.17, lng: 92.76 },
+};
+
+const hasGeo = (p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lng);
+
+export function haversineKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+export function driveMins(a, b, island) {
+  if (!hasGeo(a) || !hasGeo(b)) return DEFAULT_DRIVE_MINS;
+  const km = haversineKm(a, b);
+  if (km < SAME_SITE_KM) return 0;
+  const road = ISLAND_ROADS[island] || DEFAULT_ROAD;
+  return Math.max(5, Math.round(((km * road.factor) / road.kmh) * 60));
+}
+
+/** Drive-time matrix for a list of stops: m[i][j] minutes. */
+export const travelMatrix = (stops, island) =>
+  stops.map((a) => stops.map((b) => (a === b ? 0 : driveMins(a, b, island))));
+
+/** Nearest-neighbour order starting from `start` (a hub or the first stop). */
+export function routeOrder(stops, island, start = ISLAND_HUBS[island]) {
+  const left = [...stops];
+  const out = [];
+  let here = hasGeo(start) ? start : left[0];
+  while (left.length) {
+    let best = 0;
+    left.forEach((s, i) => {
+      if (driveMins(here, s, island) < driveMins(here, left[best], island)) best = i;
+    });
+    here = left.splice(best, 1)[0];
+    out.push(here);
+  }
+  return out;
+}
+
+/** Stop-to-stop drives that need a vehicle — what point-to-point cabs charge for. */
+export const routeHops = (stops, island) =>
+  stops.slice(1).filter((s, i) => driveMins(stops[i], s, island) > 0).length;
+
+/**
+ * Groups an island's stops into days of ≤ budgetHrs (visits + drives, counting the drive
+ * out from the hub) and ≤ maxStops, clustering nearby stops: each day is seeded with the
+ * stop furthest from the hub and grows with the nearest stops that still fit.
+ * `durOf(stop)` gives visit hours.
+ */
+export function packDaysByRoute(stops, island, { budgetHrs = 7, maxStops = 4, durOf = (s) => s.durationHrs ?? 2 } = {}) {
+  const hub = ISLAND_HUBS[island];
+  // hours of a day's stops in route order: hub → first stop → … (no hub: from the first stop)
+  const dayHrs = (bucket) => {
+    const route = routeOrder(bucket, island);
+    const start = hasGeo(hub) ? hub : route[0];
+    return route.reduce((h, s, i) => h + durOf(s) + driveMins(i ? route[i - 1] : start, s, island) / 60, 0);
+  };
+  const left = [...stops];
+  const days = [];
+  while (left.length) {
+    let seedIdx = 0;
+    if (hasGeo(hub)) {
+      left.forEach((s, i) => {
+        if (driveMins(hub, s, island) > driveMins(hub, left[seedIdx], island)) seedIdx = i;
+      });
+    }
+    const bucket = left.splice(seedIdx, 1);
+    while (bucket.length < maxStops) {
+      const last = bucket[bucket.length - 1];
+      const fits = left
+        .map((s, i) => ({ s, i, mins: driveMins(last, s, island) }))
+        .filter((c) => c.mins <= MAX_HOP_MINS && dayHrs([...bucket, c.s]) <= budgetHrs)
+        .sort((a, b) => a.mins - b.mins)[0];
+      if (!fits) break;
+      bucket.push(left.splice(fits.i, 1)[0]);
+    }
+    days.push(routeOrder(bucket, island));
+  }
+  return days;
+}
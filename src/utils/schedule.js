@@ -0,0 +1,109 @@
+import { toMins, fromMins } from "./ferries.js";
+
+const DAY_START = "08:30";
+const AFTER_ARRIVAL = "13:00"; // most IXZ flights land late morning
+const SUNSET_ENDS = "18:00"; // Andaman sunset is ~17:30 all year; leave once it's dark
+const DAY_ENDS = "21:00";
+const BOARDING_BUFFER_MINS = 45; // be at the jetty this early
+const CHECKIN_BUFFER_MINS = 60; // jetty → hotel → out again
+export const DEFAULT_TRAVEL_MINS = 30;
+
+const durMins = (it) => Math.round((Number.isFinite(it.durationHrs) ? it.durationHrs : 2) * 60);
+
+const slotOf = (it, loc) =>
+  loc?.slot || (/sunset/i.test(it.name || "") ? "sunset" : null);
+
+/**
+ * Clock-time plan for one itinerary day.
+ * Locations run back to back from the morning (or after landing), with a travel
+ * gap between stops; sunset points are pinned to end at sunset and evening shows
+ * to their next show time. Ferries keep their sailing times.
+ *
+ * travelMins(fromItem, toItem) lets the caller plug in real drive times.
+ * Returns { entries: [{ kind: "item" | "travel", itemIndex?, start, end }], conflicts: [string] }
+ */
+export function scheduleDay(day, locationsById = {}, { travelMins = () => DEFAULT_TRAVEL_MINS } = {}) {
+  const entries = [];
+  const conflicts = [];
+  const arrivalDay = day.items.some((it) => it.type === "arrival");
+  let cursor = toMins(arrivalDay ? AFTER_ARRIVAL : DAY_START);
+  let prevStop = null;
+
+  const place = (itemIndex, start, end) => entries.push({ kind: "item", itemIndex, start, end });
+  const travelFor = (it) => (prevStop ? travelMins(prevStop, it) : 0);
+  // leave as late as possible when the next stop has a fixed start
+  const travelTo = (it, fixedStart = null) => {
+    const mins = travelFor(it);
+    const begin = fixedStart == null ? cursor : Math.max(cursor, fixedStart - mins);
+    if (mins > 0) entries.push({ kind: "travel", start: begin, end: begin + mins });
+    cursor = begin + mins;
+  };
+
+  // pinned items wait until everything else in the day has been placed
+  const pinned = [];
+  day.items.forEach((it, k) => {
+    if (it.type === "ferry") {
+      const dep = toMins(it.depart);
+      const arr = toMins(it.arrive);
+      if (dep == null || arr == null) return;
+      if (cursor > dep - BOARDING_BUFFER_MINS && prevStop) {
+        conflicts.push(`Not enough time after ${prevStop.name} to make the ${it.depart} ferry`);
+      }
+      place(k, dep, arr);
+      cursor = arr + CHECKIN_BUFFER_MINS;
+      prevStop = null;
+      return;
+    }
+    if (it.type !== "location" && it.type !== "activity") return;
+    const slot = slotOf(it, locationsById[it.ref]);
+    if (slot) {
+      pinned.push({ it, k, slot, loc: locationsById[it.ref] });
+      return;
+    }
+    travelTo(it);
+    place(k, cursor, cursor + durMins(it));
+    cursor += durMins(it);
+    prevStop = it;
+  });
+
+  const sunsets = pinned.filter((p) => p.slot === "sunset");
+  if (sunsets.length > 1) {
+    conflicts.push(`Two sunset points on the same day: ${sunsets.map((p) => p.it.name).join(" & ")}`);
+  }
+  sunsets.forEach((p, i) => {
+    const end = toMins(SUNSET_ENDS);
+    const start = end - durMins(p.it);
+    if (i === 0) {
+      travelTo(p.it, start);
+      if (cursor > start) conflicts.push(`${p.it.name} starts late — earlier stops run into sunset`);
+      cursor = Math.max(cursor, start) + durMins(p.it);
+      prevStop = p.it;
+    }
+    place(p.k, start, end);
+  });
+
+  pinned
+    .filter((p) => p.slot === "show")
+    .forEach((p) => {
+      const times = (p.loc?.showTimes || []).map(toMins).filter((t) => t != null).sort((a, b) => a - b);
+      const show = times.find((t) => t >= cursor + travelFor(p.it));
+      travelTo(p.it, show ?? null);
+      if (show == null) {
+        conflicts.push(`${p.it.name}: no show left after ${fromMins(cursor)}`);
+        place(p.k, cursor, cursor + durMins(p.it));
+        cursor += durMins(p.it);
+      } else {
+        place(p.k, show, show + durMins(p.it));
+        cursor = show + durMins(p.it);
+      }
+      prevStop = p.it;
+    });
+
+  if (cursor > toMins(DAY_ENDS)) conflicts.push(`Day runs late — finishes around ${fromMins(cursor)}`);
+
+  entries.sort((a, b) => a.start - b.start);
+  return {
+    entries: entries.map((e) => ({ ...e, start: fromMins(e.start), end: fromMins(e.end) })),
+    conflicts,
+  };
+}
@@ -0,0 +1,83 @@
+import { addDays, weekdayOf } from "./normalize.js";
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+const DAY_NAMES = { Sun: "Sundays", Mon: "Mondays", Tue: "Tuesdays", Wed: "Wednesdays", Thu: "Thursdays", Fri: "Fridays", Sat: "Saturdays" };
+
+const monthIdx = (s) => MONTHS.findIndex((m) => String(s).trim().toLowerCase().startsWith(m.toLowerCase()));
+const monthOf = (yyyy_mm_dd) => Number(yyyy_mm_dd.slice(5, 7)) - 1;
+
+/**
+ * "Oct–May" → Set of month indexes (0 = Jan), wrapping the year end.
+ * "Year-round", empty or unparseable text → null (always in season).
+ */
+export function parseMonthRange(str) {
+  const parts = String(str || "").split(/\s*[–-]\s*/);
+  if (parts.length !== 2) return null;
+  const from = monthIdx(parts[0]);
+  const to = monthIdx(parts[1]);
+  if (from === -1 || to === -1) return null;
+  const months = new Set();
+  for (let m = from; ; m = (m + 1) % 12) {
+    months.add(m);
+    if (m === to) break;
+  }
+  return months;
+}
+
+export const isInSeason = (loc, yyyy_mm_dd) => {
+  if (!yyyy_mm_dd) return true;
+  const months = parseMonthRange(loc?.bestTime);
+  return !months || months.has(monthOf(yyyy_mm_dd));
+};
+
+export const isClosedOn = (loc, yyyy_mm_dd) =>
+  !!yyyy_mm_dd && (loc?.closedOn || []).includes(weekdayOf(yyyy_mm_dd));
+
+/** Every calendar month the trip touches, as month indexes. */
+export function tripMonths(startDate, dayCount) {
+  if (!startDate) return [];
+  const out = new Set();
+  for (let i = 0; i < Math.max(1, dayCount); i++) out.add(monthOf(addDays(startDate, i)));
+  return Array.from(out);
+}
+
+/** In season for the whole trip (not just the first day). */
+export const isInSeasonForTrip = (loc, startDate, dayCount) => {
+  const months = parseMonthRange(loc?.bestTime);
+  return !months || tripMonths(startDate, dayCount).every((m) => months.has(m));
+};
+
+/**
+ * Seasonality + weekly-closure warnings for an itinerary.
+ * Returns [{ dayIndex, ref, kind: "season" | "closed", message }]; empty without a start date.
+ */
+export function checkItinerarySeasons(days, locationsById, startDate) {
+  if (!startDate) return [];
+  const out = [];
+  days.forEach((day, dayIndex) => {
+    const date = addDays(startDate, dayIndex);
+    day.items
+      .filter((it) => it.type === "location" && it.ref)
+      .forEach((it) => {
+        const loc = locationsById[it.ref];
+        if (!loc) return;
+        if (!isInSeason(loc, date)) {
+          out.push({
+            dayIndex, ref: it.ref, kind: "season",
+            message: `${it.name} is usually closed or off-season in ${MONTH_NAMES[monthOf(date)]} (best ${loc.bestTime})`,
+          });
+        }
+        if (isClosedOn(loc, date)) {
+          out.push({
+            dayIndex, ref: it.ref, kind: "closed",
+            message: `${it.name} is closed on ${DAY_NAMES[weekdayOf(date)]}`,
+          });
+        }
+      });
+  });
+  return out;
+}
@@ -0,0 +1,135 @@
+import { locationItem } from "./itinerary.js";
+import { EMPTY_DRAFT_STATE } from "./drafts.js";
+
+/**
+ * Trip links: planner state → `#trip=<version>.<codec>.<base64url>`.
+ * Location items travel as bare ids and are rebuilt from locations.json on open,
+ * which keeps links short and picks up data fixes. The payload is deflated where
+ * the browser has CompressionStream ("z"), plain JSON otherwise ("j").
+ */
+export const SHARE_VERSION = 1;
+export const SHARE_PARAM = "trip";
+
+const toB64url = (bytes) => {
+  let bin = "";
+  bytes.forEach((b) => (bin += String.fromCharCode(b)));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+const fromB64url = (s) => {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+};
+
+const pipe = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+const canCompress = () => typeof CompressionStream !== "undefined";
+
+const packDays = (days) =>
+  days.map((d) => ({
+    ...d,
+    items: d.items.map((it) => (it.type === "location" ? { l: it.ref, ...(it.suggested ? { s: 1 } : {}) } : it)),
+  }));
+
+// a link is untrusted input: scalars fall back to the draft defaults, lists of the
+// wrong shape make the whole payload unreadable (null)
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isStr = (v) => typeof v === "string";
+const int = (v, min, fallback) => (Number.isFinite(v) && v >= min ? Math.floor(v) : fallback);
+const list = (v) => (v === undefined ? [] : Array.isArray(v) ? v : null); // null = wrong shape
+const strings = (v) => (list(v)?.every(isStr) ? list(v) : null);
+
+function readPayload(raw) {
+  if (!isObj(raw)) return null;
+  const D = EMPTY_DRAFT_STATE;
+  const selectedIds = strings(raw.selectedIds);
+  const addonIds = strings(raw.addonIds);
+  const scooterIslands = strings(raw.scooterIslands);
+  const childAges = list(raw.childAges)?.filter(Number.isFinite);
+  const days = list(raw.days);
+  if (!selectedIds || !addonIds || !scooterIslands || !childAges || !days) return null;
+  if (!days.every((d) => isObj(d) && isStr(d.island) && Array.isArray(d.items) && d.items.every((it) => isObj(it) && (isStr(it.l) || isStr(it.type))))) {
+    return null;
+  }
+  return {
+    step: int(raw.step, 0, D.step),
+    startDate: isStr(raw.startDate) && /^\d{4}-\d{2}-\d{2}$/.test(raw.startDate) ? raw.startDate : D.startDate,
+    adults: int(raw.adults, 1, D.adults),
+    childAges,
+    infants: int(raw.infants, 0, D.infants),
+    startPB: typeof raw.startPB === "boolean" ? raw.startPB : D.startPB,
+    targetNights: int(raw.targetNights, 1, D.targetNights),
+    budget: int(raw.budget, 0, D.budget),
+    abilities: isObj(raw.abilities)
+      ? { swimming: isStr(raw.abilities.swimming) ? raw.abilities.swimming : "", fitness: isStr(raw.abilities.fitness) ? raw.abilities.fitness : "" }
+      : D.abilities,
+    selectedIds,
+    addonIds,
+    days: days.map((d) => ({ ...d, transport: isStr(d.transport) ? d.transport : "Point-to-Point" })),
+    roomPicks: isObj(raw.roomPicks)
+      ? Object.fromEntries(Object.entries(raw.roomPicks).filter(([, p]) => isObj(p) && isStr(p.hotelId)))
+      : D.roomPicks,
+    essentials: isObj(raw.essentials) ? raw.essentials : D.essentials,
+    scooterIslands,
+  };
+}
+
+/** Encode the shareable part of the planner state (see utils/drafts for the shape). */
+export async function encodeTrip(state) {
+  const json = JSON.stringify({ ...state, days: packDays(state.days) });
+  const bytes = new TextEncoder().encode(json);
+  if (!canCompress()) return `${SHARE_VERSION}.j.${toB64url(bytes)}`;
+  return `${SHARE_VERSION}.z.${toB64url(await pipe(bytes, new CompressionStream("deflate-raw")))}`;
+}
+
+/**
+ * Decode a trip token and check every id against the loaded data.
+ * Unknown locations/activities are dropped and listed in `stale` ([{ kind, id }]);
+ * a payload of the wrong shape is reported like a damaged link.
+ * Returns { state, stale, error }; `state` is null when the token can't be read.
+ */
+export async function decodeTrip(token, { locationsById = {}, activityIds = new Set() } = {}) {
+  const fail = (error) => ({ state: null, stale: [], error });
+  const [version, codec, body] = String(token).split(".");
+  if (Number(version) > SHARE_VERSION) return fail("This link was made with a newer version of the planner.");
+  if (Number(version) !== SHARE_VERSION || !body) return fail("This trip link is damaged or incomplete.");
+
+  let raw;
+  try {
+    let bytes = fromB64url(body);
+    if (codec === "z") {
+      if (!canCompress()) return fail("This browser can't open compressed trip links.");
+      bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+    }
+    raw = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return fail("This trip link is damaged or incomplete.");
+  }
+  const payload = readPayload(raw);
+  if (!payload) return fail("This trip link is damaged or incomplete.");
+
+  const stale = [];
+  const seen = new Set();
+  const known = (kind, id, ok) => {
+    if (!ok && !seen.has(`${kind}:${id}`)) {
+      seen.add(`${kind}:${id}`);
+      stale.push({ kind, id });
+    }
+    return ok;
+  };
+
+  const state = {
+    ...payload,
+    selectedIds: payload.selectedIds.filter((id) => known("location", id, Boolean(locationsById[id]))),
+    addonIds: payload.addonIds.filter((id) => known("activity", id, activityIds.has(id))),
+    days: payload.days.map((d) => ({
+      ...d,
+      items: d.items
+        .filter((it) => !("l" in it) || known("location", it.l, Boolean(locationsById[it.l])))
+        .map((it) => ("l" in it ? locationItem({ ...locationsById[it.l], ...(it.s ? { suggested: true } : {}) }) : it)),
+    })),
+  };
+  return { state, stale, error: null };
+}
+
+/** The trip token in a URL hash, if any. */
+export const tripTokenFrom = (hash) => new URLSearchParams(String(hash).replace(/^#/, "")).get(SHARE_PARAM);
@@ -0,0 +1,79 @@
+/**
+ * Traveller mix and per-passenger pricing. Ages follow pricing.json `travellers`:
+ * infants are under 2, children 2–childMaxAge, anyone older pays as an adult.
+ * Factors (adult/child/infant) scale a per-person price for each traveller type.
+ */
+export const DEFAULT_TRAVELLER_RULES = { childMaxAge: 11 };
+const DEFAULT_OCCUPANCY = {
+  baseOccupancy: 2, // people the room rate covers
+  maxOccupancy: 3, // with one extra bed
+  freeChildMaxAge: 5, // younger children share the parents' bed
+  extraBedPercent: 30,
+  childWithBedPercent: 20,
+};
+
+/** { adults, children: [ages], infants } with over-age "children" moved to adults. */
+export function travellerMix({ adults = 0, childAges = [], infants = 0 }, rules = DEFAULT_TRAVELLER_RULES) {
+  const ages = childAges.map(Number).filter(Number.isFinite);
+  const grown = ages.filter((a) => a > rules.childMaxAge).length;
+  return { adults: adults + grown, children: ages.filter((a) => a <= rules.childMaxAge), infants };
+}
+
+export const headCount = (mix) => mix.adults + mix.children.length + mix.infants;
+
+/** Traveller-weighted units: 2 adults + 2 children at 0.5 → 3. */
+export const paxUnits = (mix, factors = {}) =>
+  mix.adults * (factors.adult ?? 1) + mix.children.length * (factors.child ?? 1) + mix.infants * (factors.infant ?? 0);
+
+/**
+ * Rooms needed per night and what's added to each room rate: extra beds for
+ * adults/older children beyond the base occupancy, free sharing for small kids.
+ * Returns { rooms, extraAdultBeds, childBeds, freeChildren }.
+ */
+export function roomsFor(mix, occupancy = {}) {
+  const occ = { ...DEFAULT_OCCUPANCY, ...occupancy };
+  const bedKids = mix.children.filter((a) => a > occ.freeChildMaxAge).length;
+  const freeChildren = mix.children.length - bedKids;
+  const counted = mix.adults + bedKids;
+  if (!counted) return { rooms: 0, extraAdultBeds: 0, childBeds: 0, freeChildren };
+  const rooms = Math.max(1, Math.ceil(counted / occ.maxOccupancy));
+  const extras = Math.max(0, counted - rooms * occ.baseOccupancy);
+  // the extra beds go to children first — they're cheaper
+  const childBeds = Math.min(extras, bedKids);
+  return { rooms, extraAdultBeds: extras - childBeds, childBeds, freeChildren };
+}
+
+/** One night for the whole group at a per-room `rate`. */
+export function nightCost(rate, rooms, occupancy = {}) {
+  const occ = { ...DEFAULT_OCCUPANCY, ...occupancy };
+  return Math.round(
+    rate * rooms.rooms +
+      (rate * occ.extraBedPercent * rooms.extraAdultBeds) / 100 +
+      (rate * occ.childWithBedPercent * rooms.childBeds) / 100
+  );
+}
+
+/**
+ * Price of an activity for the group: per person (weighted by traveller type) or,
+ * for `priceUnit: "group"`, per boat/vehicle of `groupSize` people (infants ride free).
+ */
+export function activityPrice(activity, mix, factors = {}) {
+  const base = Number(activity?.basePriceINR ?? activity?.price) || 0;
+  if (activity?.priceUnit === "group") {
+    const seats = mix.adults + mix.children.length;
+    return base * Math.max(1, Math.ceil(seats / (activity.groupSize || seats || 1)));
+  }
+  return Math.round(base * paxUnits(mix, factors));
+}
+
+/** "2 adults, 2 children (4, 9), 1 infant" */
+export function describeTravellers(mix) {
+  const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+  return [
+    plural(mix.adults, "adult", "adults"),
+    mix.children.length ? `${plural(mix.children.length, "child", "children")} (${mix.children.join(", ")})` : null,
+    mix.infants ? plural(mix.infants, "infant", "infants") : null,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
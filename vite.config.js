@@ -1,20 +1,32 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
+import mockLeadsApi from "./dev/mockLeadsApi.js";
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 5173,          // dev server port (optional)
-    open: true           // auto-open browser on dev
-  },
-  build: {
-    outDir: "dist",      // default build folder
-    sourcemap: false,    // disable source maps for production
-    chunkSizeWarningLimit: 600
-  },
-  resolve: {
-    alias: {
-      "@": "/src"        // allows imports like "@/components/..."
-    }
+export default defineConfig(({ command, mode }) => {
+  // production builds send Request to Book leads to VITE_LEAD_ENDPOINT, with the booking
+  // phone / WhatsApp as the fallback (see src/utils/leads.js)
+  const env = command === "build" ? loadEnv(mode, process.cwd()) : {};
+  if (command === "build" && !env.VITE_LEAD_ENDPOINT) {
+    console.warn("\n⚠  VITE_LEAD_ENDPOINT is not set — Request to Book is disabled in this build.\n");
+  }
+  if (command === "build" && !env.VITE_BOOKING_PHONE && !env.VITE_BOOKING_WHATSAPP) {
+    console.warn("⚠  VITE_BOOKING_PHONE / VITE_BOOKING_WHATSAPP are not set — customers get no call or WhatsApp fallback.\n");
   }
+  return {
+    plugins: [react(), mockLeadsApi()], // POST /api/leads mock for dev + preview
+    server: {
+      port: 5173,          // dev server port (optional)
+      open: true           // auto-open browser on dev
+    },
+    build: {
+      outDir: "dist",      // default build folder
+      sourcemap: false,    // disable source maps for production
+      chunkSizeWarningLimit: 600
+    },
+    resolve: {
+      alias: {
+        "@": "/src"        // allows imports like "@/components/..."
+      }
+    }
+  };
 });